@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Compares the cost of emitting batches with structurally
+ * shared snapshots against the shallow copies of the whole state that
+ * ObservableService made for every batch before. Run with `npm run bench`.
+ * @author Dylan Archer
+ */
+
+import { ObservableService } from '../src/main.js';
+
+const KEYS = 10_000;
+const BATCHES = 200;
+/** Batches kept alive, as an undo history or devtools would. */
+const RETAINED = 50;
+
+const createState = () =>
+  Object.fromEntries(
+    Array.from({ length: KEYS }, (_, i) => [
+      `item${i}`,
+      { id: i, label: `Item ${i}`, tags: ['a', 'b'], meta: { hits: 0 } },
+    ])
+  );
+
+const collect = () => globalThis.gc?.();
+
+/**
+ * Runs `BATCHES` one-key batches through `emit`, keeping the last
+ * `RETAINED` emitted states alive.
+ * @param {string} name
+ * @param {(index: number, keep: (states: object[]) => void) => void} emit
+ */
+const measure = (name, emit) => {
+  /** @type {object[][]} */ const retained = [];
+  const keep = (/** @type {object[]} */ states) => {
+    retained.push(states);
+    retained.length > RETAINED && retained.shift();
+  };
+  collect();
+  const heapBefore = process.memoryUsage().heapUsed;
+  const start = performance.now();
+  for (let i = 0; i < BATCHES; i++) emit(i, keep);
+  const elapsed = performance.now() - start;
+  collect();
+  const heapAfter = process.memoryUsage().heapUsed;
+  retained.length = 0; // keeps the states alive until measured
+  return {
+    name,
+    'ms / batch': (elapsed / BATCHES).toFixed(3),
+    [`retained MB (${RETAINED} batches)`]: (
+      (heapAfter - heapBefore) /
+      1024 /
+      1024
+    ).toFixed(1),
+  };
+};
+
+/**
+ * Copies the state for every batch the way `amendState` and `emitQueued`
+ * used to: a spread of the root before the first write, then frozen
+ * spreads of both states. Nested objects were shared with the live state,
+ * so `stale` did not keep their previous values.
+ */
+const shallowCopies = () => {
+  const state = createState();
+  return measure('shallow copies', (i, keep) => {
+    const stale = { ...state };
+    state[`item${i % KEYS}`].meta.hits++;
+    keep([Object.freeze({ ...state }), Object.freeze({ ...stale })]);
+  });
+};
+
+const structuralSharing = () => {
+  const service = new ObservableService(createState());
+  /** @type {(states: object[]) => void} */ let keep = () => {};
+  service.subscribe((fresh, stale) => keep([fresh, stale]));
+  return measure('structural sharing', (i, retain) => {
+    keep = retain;
+    service.state[`item${i % KEYS}`].meta.hits++;
+    service.flush();
+  });
+};
+
+console.log(
+  `${BATCHES} one-key batches on a ${KEYS}-key state` +
+    (globalThis.gc ? '' : ' (run with --expose-gc for heap figures)')
+);
+console.table([shallowCopies(), structuralSharing()]);
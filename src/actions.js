@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Named actions for an ObservableService: every change goes
+ * through a dispatcher, so each batch is labelled with the action that
+ * caused it and (in strict mode) nothing else can write to the state.
+ * @author Dylan Archer
+ */
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ */
+
+/**
+ * Number of actions running on each service, shared by every
+ * `defineActions` call so strict mode accepts any of them.
+ * @type {WeakMap<ObservableService, number>}
+ */
+const running = new WeakMap();
+
+/**
+ * @callback ActionHandler
+ * @param {Record<string, any>} state - The service's state proxy
+ * @param {any} [payload]
+ * @returns {any}
+ */
+
+/**
+ * @typedef {object} ActionOptions
+ * @property {boolean} [strict] - Throw on writes made outside an action (default `false`)
+ */
+
+/**
+ * Creates a dispatcher for each handler. Calling `actions.addTodo(todo)`
+ * runs `handlers.addTodo(service.state, todo)` as one `service.batch()` and
+ * labels it `{ type: 'addTodo', payload: todo }` (see `service.label()`), so
+ * subscribers and devtools can tell which action changed the state. An
+ * action called by another action is part of the outer action's batch,
+ * which keeps the outer label. When a handler throws, its writes are undone
+ * and the error is rethrown.
+ *
+ * Handlers must be synchronous: an `async` handler is rejected, and a
+ * handler returning a promise throws a `TypeError` (its writes are undone).
+ * Wait outside the action and dispatch another action with the result.
+ *
+ * In strict mode, writing to the state anywhere but inside a handler (of
+ * any `defineActions` call on the same service) throws a `TypeError` —
+ * including writes made by tools such as `restore()`, `persist` or
+ * `syncAcrossContexts`.
+ * @template {Record<string, ActionHandler>} Handlers
+ * @param {ObservableService} service
+ * @param {Handlers} handlers
+ * @param {ActionOptions} [options]
+ * @throws {TypeError} When a handler is an `async` function
+ * @returns {{ actions: { [Name in keyof Handlers]: (payload: Parameters<Handlers[Name]>[1]) => ReturnType<Handlers[Name]> }, dispose: () => void }}
+ * @example
+ * const { actions } = defineActions(
+ *   store,
+ *   {
+ *     addTodo(state, title) {
+ *       state.todos.push({ title, completed: false });
+ *     },
+ *     toggle(state, index) {
+ *       state.todos[index].completed = !state.todos[index].completed;
+ *     },
+ *   },
+ *   { strict: true }
+ * );
+ * actions.addTodo('Write docs');
+ */
+export const defineActions = (service, handlers, { strict = false } = {}) => {
+  for (const [type, handler] of Object.entries(handlers)) {
+    if (Object.prototype.toString.call(handler) === '[object AsyncFunction]') {
+      throw new TypeError(`Action "${type}" must be synchronous`);
+    }
+  }
+
+  const removeMiddleware = strict
+    ? service.use(({ path }) => {
+        if (running.get(service)) return;
+        throw new TypeError(
+          `Cannot write "${path.map(String).join('.')}" outside an action`
+        );
+      })
+    : () => {};
+
+  const actions = Object.fromEntries(
+    Object.entries(handlers).map(([type, handler]) => [
+      type,
+      (/** @type {any} */ payload) => {
+        running.set(service, (running.get(service) ?? 0) + 1);
+        try {
+          // Label inside the batch: once released, it may already be emitted.
+          return service.batch(() => {
+            const result = handler(service.state, payload);
+            if (typeof result?.then === 'function') {
+              throw new TypeError(
+                `Action "${type}" returned a promise; actions must be synchronous`
+              );
+            }
+            service.label(type, payload);
+            return result;
+          });
+        } finally {
+          running.set(
+            service,
+            /** @type {number} */ (running.get(service)) - 1
+          );
+        }
+      },
+    ])
+  );
+
+  return {
+    actions: /** @type {any} */ (actions),
+
+    /** Stops enforcing strict mode; the dispatchers keep working. */
+    dispose() {
+      removeMiddleware();
+    },
+  };
+};
+
+export default { defineActions };
@@ -0,0 +1,168 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { defineActions } from './actions.js';
+
+const createTodos = () =>
+  new ObservableService({ todos: [{ title: 'a', completed: false }] });
+
+const handlers = {
+  addTodo(state, title) {
+    state.todos.push({ title, completed: false });
+    return state.todos.length;
+  },
+  toggle(state, index) {
+    state.todos[index].completed = !state.todos[index].completed;
+  },
+};
+
+describe('defineActions', () => {
+  test('should run handlers with the state and return their result', () => {
+    const service = createTodos();
+    const { actions } = defineActions(service, handlers);
+
+    assert.strictEqual(actions.addTodo('b'), 2);
+    actions.toggle(0);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state.todos)), [
+      { title: 'a', completed: true },
+      { title: 'b', completed: false },
+    ]);
+  });
+
+  test('should label each batch with the action and its payload', () => {
+    const service = createTodos();
+    const listener = mock.fn();
+    service.subscribe(listener);
+    const { actions } = defineActions(service, handlers);
+
+    actions.addTodo('b');
+    service.flush();
+    actions.toggle(1);
+    service.flush();
+
+    assert.deepStrictEqual(
+      listener.mock.calls.map((call) => call.arguments[3]),
+      [
+        { type: 'addTodo', payload: 'b' },
+        { type: 'toggle', payload: 1 },
+      ]
+    );
+  });
+
+  test('should label batches emitted by the sync scheduler', () => {
+    const service = new ObservableService({ todos: [] }, { scheduler: 'sync' });
+    const listener = mock.fn();
+    service.subscribe(listener);
+    const { actions } = defineActions(service, handlers);
+
+    actions.addTodo('a');
+
+    assert.strictEqual(listener.mock.calls.length, 1);
+    assert.deepStrictEqual(listener.mock.calls[0].arguments[3], {
+      type: 'addTodo',
+      payload: 'a',
+    });
+  });
+
+  test('should reject asynchronous handlers and undo failed actions', () => {
+    const service = createTodos();
+    assert.throws(
+      () => defineActions(service, { async load() {} }),
+      /Action "load" must be synchronous/
+    );
+    const { actions } = defineActions(service, {
+      ...handlers,
+      deferred(state) {
+        state.todos.push({ title: 'b' });
+        return Promise.resolve();
+      },
+      broken(state) {
+        state.todos[0].completed = true;
+        throw new Error('nope');
+      },
+    });
+
+    assert.throws(() => actions.deferred(), /returned a promise/);
+    assert.throws(() => actions.broken(), /nope/);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state.todos)), [
+      { title: 'a', completed: false },
+    ]);
+  });
+
+  test('should keep the outer label for nested actions', () => {
+    const service = createTodos();
+    const listener = mock.fn();
+    service.subscribe(listener);
+    const { actions } = defineActions(service, {
+      ...handlers,
+      addDone(state, title) {
+        const length = actions.addTodo(title);
+        actions.toggle(length - 1);
+      },
+    });
+
+    actions.addDone('b');
+    service.flush();
+
+    assert.strictEqual(listener.mock.calls.length, 1);
+    assert.deepStrictEqual(listener.mock.calls[0].arguments[3], {
+      type: 'addDone',
+      payload: 'b',
+    });
+  });
+
+  test('should throw on writes outside actions in strict mode', () => {
+    const service = createTodos();
+    const { actions, dispose } = defineActions(service, handlers, {
+      strict: true,
+    });
+
+    assert.throws(() => service.state.todos.push({ title: 'b' }), {
+      name: 'TypeError',
+      message: 'Cannot write "todos.1" outside an action',
+    });
+    assert.throws(() => {
+      service.state.todos[0].completed = true;
+    }, /outside an action/);
+    assert.strictEqual(service.state.todos.length, 1);
+
+    actions.addTodo('b');
+    assert.strictEqual(service.state.todos.length, 2);
+
+    dispose();
+    service.state.todos[0].completed = true;
+    assert.strictEqual(service.state.todos[0].completed, true);
+  });
+
+  test('should accept actions of other modules on a strict service', () => {
+    const service = createTodos();
+    defineActions(service, handlers, { strict: true });
+    const { actions } = defineActions(service, {
+      clear(state) {
+        state.todos.length = 0;
+      },
+    });
+
+    actions.clear();
+    assert.strictEqual(service.state.todos.length, 0);
+  });
+
+  test('should leave strict mode on when a handler throws', () => {
+    const service = createTodos();
+    const { actions } = defineActions(
+      service,
+      {
+        fail() {
+          throw new Error('nope');
+        },
+      },
+      { strict: true }
+    );
+
+    assert.throws(() => actions.fail(), /nope/);
+    assert.throws(() => {
+      service.state.extra = true;
+    }, /outside an action/);
+  });
+});
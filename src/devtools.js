@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Reports the batches of an ObservableService to the Redux
+ * DevTools browser extension (or anything speaking its protocol), and lets
+ * the extension jump between, commit and reset states.
+ * @author Dylan Archer
+ */
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ * @typedef {import('./main.js').BatchLabel} BatchLabel
+ */
+
+/**
+ * A message sent by the extension; only `DISPATCH` messages are handled.
+ * @typedef {object} DevtoolsMessage
+ * @property {string} type
+ * @property {{ type: string }} [payload] - For `DISPATCH`, e.g. `{ type: 'JUMP_TO_STATE' }`
+ * @property {string} [state] - JSON of the state to jump or roll back to
+ */
+
+/**
+ * The connection returned by
+ * `window.__REDUX_DEVTOOLS_EXTENSION__.connect(options)`.
+ * @typedef {object} DevtoolsConnector
+ * @property {(state: any) => void} init - Starts a new history at `state`
+ * @property {(action: { type: string, payload?: any }, state: any) => void} send
+ * @property {(listener: (message: DevtoolsMessage) => void) => (() => void)|void} subscribe
+ * @property {() => void} [unsubscribe] - Removes every listener
+ */
+
+/**
+ * @typedef {object} DevtoolsOptions
+ * @property {string} [name] - Instance name shown in the extension (default `'ObservableService'`)
+ * @property {DevtoolsConnector} [connector] - Defaults to a connection to the installed extension
+ * @property {(error: unknown) => void} [onError] - Receives states from the extension that failed to apply (default `console.error`)
+ */
+
+/**
+ * Names a batch after the paths it changed, e.g. `user.name, todos`.
+ * Changes of computed values are left out.
+ * @param {ReadonlyArray<ChangeDescriptor>} changes
+ * @returns {string}
+ */
+const describe = (changes) => {
+  const paths = changes
+    .filter(({ computed }) => !computed)
+    .map(({ path }) => path.map(String).join('.'));
+  return [...new Set(paths)].join(', ') || '(no changes)';
+};
+
+/**
+ * Connects `service` to the Redux DevTools extension. Every batch is sent
+ * as an action named by its `label()` (with the label's payload) or else by
+ * the paths it changed, along with `service.snapshot()`.
+ *
+ * From the extension, jumping to a state (or action) and rolling back
+ * restore that state with `service.restore()` without sending it back as a
+ * new action; committing makes the current state the start of the history
+ * and resetting restores the state the service had when connected. Without
+ * the extension installed, nothing is connected.
+ * @param {ObservableService} service
+ * @param {DevtoolsOptions} [options]
+ * @example
+ * const devtools = connectDevtools(store, { name: 'Todos' });
+ * // later
+ * devtools.dispose();
+ */
+export const connectDevtools = (
+  service,
+  {
+    name = 'ObservableService',
+    connector = /** @type {any} */ (
+      globalThis
+    ).__REDUX_DEVTOOLS_EXTENSION__?.connect({ name }),
+    onError = (error) => console.error(error),
+  } = {}
+) => {
+  if (!connector) return { dispose() {} };
+  const initial = service.snapshot();
+  let applying = false;
+
+  /**
+   * Restores `state` without reporting the resulting batch.
+   * @param {Record<string, any>} state
+   */
+  const apply = (state) => {
+    // Report any pending batch first so it doesn't merge with the restore.
+    service.flush();
+    applying = true;
+    try {
+      service.restore(state);
+    } finally {
+      service.flush();
+      applying = false;
+    }
+  };
+
+  const report = (
+    /** @type {object} */ fresh,
+    /** @type {object} */ stale,
+    /** @type {ReadonlyArray<ChangeDescriptor>} */ changes,
+    /** @type {BatchLabel|undefined} */ label
+  ) => {
+    if (applying) return;
+    const action = label
+      ? { type: label.type, payload: label.payload }
+      : { type: describe(changes) };
+    connector.send(action, service.snapshot());
+  };
+
+  const receive = (/** @type {DevtoolsMessage} */ message) => {
+    if (message.type !== 'DISPATCH') return;
+    try {
+      switch (message.payload?.type) {
+        case 'JUMP_TO_STATE':
+        case 'JUMP_TO_ACTION':
+          apply(JSON.parse(/** @type {string} */ (message.state)));
+          break;
+        case 'ROLLBACK':
+          apply(JSON.parse(/** @type {string} */ (message.state)));
+          connector.init(service.snapshot());
+          break;
+        case 'COMMIT':
+          connector.init(service.snapshot());
+          break;
+        case 'RESET':
+          apply(initial);
+          connector.init(service.snapshot());
+          break;
+      }
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  connector.init(initial);
+  const unsubscribe = service.subscribe(report);
+  const stopListening = connector.subscribe(receive);
+
+  return {
+    /** Stops reporting to and listening to the extension. */
+    dispose() {
+      unsubscribe();
+      typeof stopListening === 'function'
+        ? stopListening()
+        : connector.unsubscribe?.();
+    },
+  };
+};
+
+export default { connectDevtools };
@@ -0,0 +1,168 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { connectDevtools } from './devtools.js';
+
+/**
+ * A stand-in for the connection returned by the Redux DevTools extension.
+ */
+const createConnector = () => {
+  const listeners = new Set();
+  return {
+    init: mock.fn(),
+    send: mock.fn(),
+    subscribe: mock.fn((listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }),
+    listeners,
+    dispatch(type, state) {
+      const message = { type: 'DISPATCH', payload: { type } };
+      if (state) message.state = JSON.stringify(state);
+      listeners.forEach((listener) => listener(message));
+    },
+  };
+};
+
+describe('connectDevtools', () => {
+  /** @type {Array<{ dispose: () => void }>} */
+  let connections = [];
+  const connect = (service, options) => {
+    const connection = connectDevtools(service, options);
+    connections.push(connection);
+    return connection;
+  };
+
+  afterEach(() => {
+    connections.forEach((connection) => connection.dispose());
+    connections = [];
+  });
+
+  test('should send the initial state and each batch as an action', () => {
+    const connector = createConnector();
+    const service = new ObservableService({ user: { name: 'Ada' }, n: 0 });
+    connect(service, { connector });
+
+    assert.deepStrictEqual(connector.init.mock.calls[0].arguments, [
+      { user: { name: 'Ada' }, n: 0 },
+    ]);
+
+    service.state.user.name = 'Grace';
+    service.state.n++;
+    service.state.n++;
+    service.flush();
+
+    assert.deepStrictEqual(connector.send.mock.calls[0].arguments, [
+      { type: 'user.name, n' },
+      { user: { name: 'Grace' }, n: 2 },
+    ]);
+  });
+
+  test('should name labelled batches after their label', () => {
+    const connector = createConnector();
+    const service = new ObservableService({ todos: [] });
+    const listener = mock.fn();
+    service.subscribe(listener);
+    connect(service, { connector });
+
+    assert.strictEqual(service.label('addTodo'), false);
+    service.state.todos.push('Write docs');
+    assert.strictEqual(service.label('addTodo', 'Write docs'), true);
+    service.flush();
+
+    assert.deepStrictEqual(connector.send.mock.calls[0].arguments[0], {
+      type: 'addTodo',
+      payload: 'Write docs',
+    });
+    assert.deepStrictEqual(listener.mock.calls[0].arguments[3], {
+      type: 'addTodo',
+      payload: 'Write docs',
+    });
+
+    service.state.todos.push('Test');
+    service.flush();
+    assert.deepStrictEqual(connector.send.mock.calls[1].arguments[0], {
+      type: 'todos',
+    });
+    assert.strictEqual(listener.mock.calls[1].arguments[3], undefined);
+  });
+
+  test('should jump to states without reporting them', () => {
+    const connector = createConnector();
+    const service = new ObservableService({ n: 0 });
+    const listener = mock.fn();
+    service.subscribe(listener);
+    connect(service, { connector });
+
+    service.state.n = 1;
+    service.state.extra = true;
+    connector.dispatch('JUMP_TO_STATE', { n: 5 });
+    connector.dispatch('JUMP_TO_ACTION', { n: 6 });
+
+    assert.deepStrictEqual({ ...service.state }, { n: 6 });
+    assert.strictEqual(connector.send.mock.calls.length, 1);
+    assert.strictEqual(listener.mock.calls.length, 3);
+    assert.deepStrictEqual(listener.mock.calls[1].arguments[2], [
+      { path: ['extra'], kind: 'delete', prev: true, next: undefined },
+      { path: ['n'], kind: 'set', prev: 1, next: 5 },
+    ]);
+  });
+
+  test('should commit, reset and roll back', () => {
+    const connector = createConnector();
+    const service = new ObservableService({ n: 0 });
+    connect(service, { connector });
+
+    service.state.n = 1;
+    service.flush();
+    connector.dispatch('COMMIT');
+    assert.deepStrictEqual(connector.init.mock.calls[1].arguments, [{ n: 1 }]);
+
+    connector.dispatch('ROLLBACK', { n: 3 });
+    assert.strictEqual(service.state.n, 3);
+    assert.deepStrictEqual(connector.init.mock.calls[2].arguments, [{ n: 3 }]);
+
+    connector.dispatch('RESET');
+    assert.strictEqual(service.state.n, 0);
+    assert.deepStrictEqual(connector.init.mock.calls[3].arguments, [{ n: 0 }]);
+    assert.strictEqual(connector.send.mock.calls.length, 1);
+  });
+
+  test('should report states that fail to apply', () => {
+    const connector = createConnector();
+    const onError = mock.fn();
+    const service = new ObservableService({ n: 0 });
+    service.use(({ value }) => (value === 'locked' ? false : undefined));
+    connect(service, { connector, onError });
+
+    connector.dispatch('JUMP_TO_STATE', { n: 'locked' });
+    connector.listeners.forEach((listener) =>
+      listener({ type: 'DISPATCH', payload: { type: 'JUMP_TO_STATE' } })
+    );
+
+    assert.strictEqual(onError.mock.calls.length, 2);
+    assert.strictEqual(service.state.n, 0);
+  });
+
+  test('should stop listening once disposed', () => {
+    const connector = createConnector();
+    const service = new ObservableService({ n: 0 });
+    connectDevtools(service, { connector }).dispose();
+
+    service.state.n = 1;
+    service.flush();
+
+    assert.strictEqual(connector.listeners.size, 0);
+    assert.strictEqual(connector.send.mock.calls.length, 0);
+  });
+
+  test('should do nothing without the extension', () => {
+    const service = new ObservableService({ n: 0 });
+    const connection = connect(service);
+
+    service.state.n = 1;
+    service.flush();
+
+    assert.strictEqual(typeof connection.dispose, 'function');
+  });
+});
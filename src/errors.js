@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Error classes thrown by ObservableService and its modules.
+ * @author Dylan Archer
+ */
+
+/**
+ * Formats a state path for error messages, e.g. `todos.0.priority`.
+ * @param {Array<string|symbol>} path
+ */
+const formatPath = (path) => path.map(String).join('.') || '(root)';
+
+/**
+ * Thrown when a write or delete violates the service's schema.
+ * @example
+ * try {
+ *   service.state.priority = 'urgent';
+ * } catch (error) {
+ *   if (error instanceof StateValidationError) console.warn(error.path, error.rule);
+ * }
+ */
+export class StateValidationError extends Error {
+  /**
+   * @param {Array<string|symbol>} path - Path of the rejected value
+   * @param {string} rule - Name of the violated rule, e.g. `enum` or `required`
+   * @param {string} detail - Human readable description of the violation
+   */
+  constructor(path, rule, detail) {
+    super(`Invalid state at "${formatPath(path)}": ${detail}`);
+    this.name = 'StateValidationError';
+    /** @type {Array<string|symbol>} */ this.path = path;
+    /** @type {string} */ this.rule = rule;
+  }
+}
+
+/**
+ * Thrown by `applyPatch` for a malformed JSON Patch operation, one whose
+ * path does not exist, or a failed `test`. The state is left unchanged.
+ * @example
+ * try {
+ *   service.applyPatch([{ op: 'test', path: '/version', value: 2 }]);
+ * } catch (error) {
+ *   if (error instanceof PatchError) console.warn(error.index, error.operation);
+ * }
+ */
+export class PatchError extends Error {
+  /**
+   * @param {number} index - Position of the failed operation in the patch
+   * @param {any} operation - The failed operation
+   * @param {string} detail - Human readable description of the failure
+   */
+  constructor(index, operation, detail) {
+    super(`Patch operation ${index} failed: ${detail}`);
+    this.name = 'PatchError';
+    /** @type {number} */ this.index = index;
+    /** @type {any} */ this.operation = operation;
+  }
+}
+
+/**
+ * Thrown on writes through a `readonly()` view of the state, and on any
+ * write while the service is frozen with `freeze()`.
+ * @example
+ * const view = service.readonly();
+ * view.user.name = 'Grace'; // ReadonlyStateError: Cannot set "user.name": the state is read-only
+ */
+export class ReadonlyStateError extends Error {
+  /**
+   * @param {Array<string|symbol>} path - Path of the rejected write
+   * @param {string} operation - What was attempted, e.g. `set`, `delete` or `push`
+   * @param {string} [detail] - Why it was rejected
+   */
+  constructor(path, operation, detail = 'the state is read-only') {
+    super(`Cannot ${operation} "${formatPath(path)}": ${detail}`);
+    this.name = 'ReadonlyStateError';
+    /** @type {Array<string|symbol>} */ this.path = path;
+    /** @type {string} */ this.operation = operation;
+  }
+}
+
+export default { StateValidationError, PatchError, ReadonlyStateError };
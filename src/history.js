@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Opt-in undo/redo history for an ObservableService. Every
+ * emitted batch becomes one checkpoint; undo and redo write through the
+ * service's state proxy so subscribers are notified like any other change.
+ * @author Dylan Archer
+ */
+
+import { cloneDeep, getIn } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ */
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string|undefined} label - Label given through `checkpoint` or `group`
+ * @property {ChangeDescriptor[]} changes - Operations of the recorded batch(es)
+ */
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {number} [limit] - Maximum number of undo checkpoints kept (default 100)
+ */
+
+/**
+ * Writes a single change (or its inverse) back through the state proxy.
+ * Descriptors hold frozen snapshots, so the values written are copies.
+ * @param {Record<string|symbol, any>} state
+ * @param {ChangeDescriptor} change
+ * @param {boolean} inverse
+ */
+const replay = (state, { path, kind, prev, next }, inverse) => {
+  const parent = getIn(state, path.slice(0, -1));
+  const key = path[path.length - 1];
+  if (kind === 'array-splice') {
+    const list = getIn(state, path);
+    list.splice(0, list.length, ...cloneDeep(inverse ? prev : next));
+    return;
+  }
+  if (kind === 'collection') {
+    const collection = getIn(state, path);
+    const entries = cloneDeep(inverse ? prev : next);
+    collection.clear();
+    for (const [key, value] of entries.entries()) {
+      collection instanceof Map
+        ? collection.set(key, value)
+        : collection.add(value);
+    }
+    return;
+  }
+  const removes = inverse
+    ? kind === 'set' && prev === undefined
+    : kind === 'delete';
+  if (removes) {
+    delete parent[key];
+  } else {
+    parent[key] = cloneDeep(inverse ? prev : next);
+  }
+};
+
+/**
+ * Records each batch emitted by `service` as an undo checkpoint.
+ *
+ * Undo and redo are applied through `service.state` and flushed at once, so
+ * subscribers are notified synchronously and the replayed batch is not
+ * recorded again. A `set` whose previous value was `undefined` is undone by
+ * deleting the key, and
+ * computed properties are left to recompute from the restored state. A
+ * replay is one `service.batch()`: when middleware, a schema or `freeze()`
+ * rejects one of its writes, the others are undone, the error is thrown and
+ * the checkpoint stays where it was.
+ * @param {ObservableService} service
+ * @param {HistoryOptions} [options]
+ * @example
+ * const history = createHistory(service, { limit: 50 });
+ * service.state.count = 1;
+ * // ...after the batch is emitted
+ * history.undo(); // count is restored and subscribers are notified
+ */
+export const createHistory = (service, { limit = 100 } = {}) => {
+  /** @type {HistoryEntry[]} */ const past = [];
+  /** @type {HistoryEntry[]} */ const future = [];
+  /** @type {string|undefined} */ let nextLabel;
+  /** @type {HistoryEntry|undefined} */ let openGroup;
+  let replaying = false;
+
+  /**
+   * @param {object} fresh
+   * @param {object} stale
+   * @param {ChangeDescriptor[]} changes
+   */
+  const record = (fresh, stale, changes) => {
+    if (replaying) return;
+    future.length = 0;
+    if (openGroup) {
+      openGroup.changes.push(...changes);
+      return;
+    }
+    past.push({ label: nextLabel, changes: [...changes] });
+    nextLabel = undefined;
+    past.length > limit && past.shift();
+  };
+
+  /**
+   * @param {HistoryEntry[]} from
+   * @param {HistoryEntry[]} to
+   * @param {boolean} inverse
+   */
+  const step = (from, to, inverse) => {
+    // Record any pending batch first so it doesn't merge with the replay.
+    service.flush();
+    const entry = from[from.length - 1];
+    if (!entry) return false;
+    const changes = inverse ? [...entry.changes].reverse() : entry.changes;
+    replaying = true;
+    try {
+      // A rejected write undoes the whole replay and keeps the checkpoint.
+      service.batch(() => {
+        for (const change of changes) {
+          change.computed || replay(service.state, change, inverse);
+        }
+      });
+      service.flush();
+    } finally {
+      replaying = false;
+    }
+    to.push(/** @type {HistoryEntry} */ (from.pop()));
+    return true;
+  };
+
+  service.subscribe(record);
+
+  return {
+    /** Whether there is a checkpoint to undo. */
+    get canUndo() {
+      return past.length > 0;
+    },
+
+    /** Whether there is an undone checkpoint to redo. */
+    get canRedo() {
+      return future.length > 0;
+    },
+
+    /** Label of the checkpoint `undo()` would revert. */
+    get undoLabel() {
+      return past[past.length - 1]?.label;
+    },
+
+    /** Label of the checkpoint `redo()` would re-apply. */
+    get redoLabel() {
+      return future[future.length - 1]?.label;
+    },
+
+    /**
+     * Reverts the most recent checkpoint.
+     * @returns {boolean} `false` when there was nothing to undo
+     * @throws What rejected a write of the replay; the checkpoint is kept
+     */
+    undo() {
+      return step(past, future, true);
+    },
+
+    /**
+     * Re-applies the most recently undone checkpoint.
+     * @returns {boolean} `false` when there was nothing to redo
+     * @throws What rejected a write of the replay; the checkpoint is kept
+     */
+    redo() {
+      return step(future, past, false);
+    },
+
+    /**
+     * Labels the next recorded checkpoint.
+     * @param {string} label
+     */
+    checkpoint(label) {
+      nextLabel = label;
+    },
+
+    /**
+     * Records every batch emitted while `fn` runs as a single checkpoint.
+     * @template T
+     * @param {string|undefined} label
+     * @param {() => T | Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    async group(label, fn) {
+      const entry = { label, changes: [] };
+      openGroup = entry;
+      try {
+        return await fn();
+      } finally {
+        service.flush();
+        openGroup = undefined;
+        if (entry.changes.length) {
+          past.push(entry);
+          past.length > limit && past.shift();
+        }
+      }
+    },
+
+    /** Drops all undo and redo checkpoints. */
+    clear() {
+      past.length = 0;
+      future.length = 0;
+      nextLabel = undefined;
+    },
+
+    /** Stops recording batches from the service. */
+    dispose() {
+      service.unsubscribe(record);
+    },
+  };
+};
+
+export default { createHistory };
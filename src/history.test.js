@@ -0,0 +1,281 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { createHistory } from './history.js';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createHistory', () => {
+  test('should undo and redo a batch', async () => {
+    const service = new ObservableService({ count: 0, user: { name: 'J' } });
+    const history = createHistory(service);
+
+    service.state.count = 1;
+    service.state.user.name = 'Jane';
+    await tick();
+
+    assert.strictEqual(history.canUndo, true);
+    assert.strictEqual(history.undo(), true);
+    assert.deepStrictEqual(service.state, { count: 0, user: { name: 'J' } });
+    assert.strictEqual(history.canRedo, true);
+
+    await tick();
+    assert.strictEqual(history.redo(), true);
+    assert.deepStrictEqual(service.state, {
+      count: 1,
+      user: { name: 'Jane' },
+    });
+  });
+
+  test('should notify subscribers on undo and redo', async () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service);
+    service.state.count = 1;
+    await tick();
+
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    history.undo();
+    await tick();
+
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+    const [fresh, stale] = subscriber.mock.calls[0].arguments;
+    assert.deepStrictEqual(fresh, { count: 0 });
+    assert.deepStrictEqual(stale, { count: 1 });
+    assert.strictEqual(history.canUndo, false);
+  });
+
+  test('should undo added keys, deletes and array methods', async () => {
+    const service = new ObservableService({ gone: true, todos: ['a'] });
+    const history = createHistory(service);
+
+    service.state.added = 1;
+    delete service.state.gone;
+    service.state.todos.push('b');
+    await tick();
+
+    history.undo();
+    assert.deepStrictEqual(service.state, { gone: true, todos: ['a'] });
+    await tick();
+    history.redo();
+    assert.deepStrictEqual(service.state, { todos: ['a', 'b'], added: 1 });
+  });
+
+  test('should restore the items a shorter length removed', async () => {
+    const service = new ObservableService({
+      todos: [{ t: 1 }, { t: 2 }, { t: 3 }],
+    });
+    const history = createHistory(service);
+
+    service.state.todos.length = 1;
+    await tick();
+    history.undo();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state.todos)), [
+      { t: 1 },
+      { t: 2 },
+      { t: 3 },
+    ]);
+    history.redo();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state.todos)), [
+      { t: 1 },
+    ]);
+  });
+
+  test('should restore objects that can be written again', async () => {
+    const service = new ObservableService({ user: { name: 'Ada' }, list: [] });
+    const history = createHistory(service);
+    service.state.user = { name: 'Grace' };
+    service.state.list.push({ done: false });
+    await tick();
+
+    history.undo();
+    history.redo();
+    service.state.user.name = 'Lin';
+    service.state.list[0].done = true;
+    service.flush();
+
+    assert.deepStrictEqual(service.state, {
+      user: { name: 'Lin' },
+      list: [{ done: true }],
+    });
+    history.undo();
+    assert.deepStrictEqual(service.state, {
+      user: { name: 'Grace' },
+      list: [{ done: false }],
+    });
+  });
+
+  test('should keep the checkpoint when a replayed write is rejected', async () => {
+    const service = new ObservableService({ a: 0, b: 0 });
+    const history = createHistory(service);
+    service.state.b = 1;
+    service.state.a = 1;
+    await tick();
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+
+    const veto = service.use(({ key }) => (key === 'a' ? false : undefined));
+    assert.throws(() => history.undo(), TypeError);
+    assert.deepStrictEqual(service.state, { a: 1, b: 1 });
+    assert.strictEqual(history.canUndo, true);
+    assert.strictEqual(history.canRedo, false);
+
+    service.freeze();
+    assert.throws(() => history.undo(), { name: 'ReadonlyStateError' });
+    service.unfreeze();
+    veto();
+    await tick();
+    assert.strictEqual(subscriber.mock.calls.length, 0);
+
+    assert.strictEqual(history.undo(), true);
+    assert.deepStrictEqual(service.state, { a: 0, b: 0 });
+    assert.strictEqual(history.canRedo, true);
+  });
+
+  test('should return false when there is nothing to undo or redo', () => {
+    const history = createHistory(new ObservableService());
+    assert.strictEqual(history.undo(), false);
+    assert.strictEqual(history.redo(), false);
+  });
+
+  test('should drop redo checkpoints after a new change', async () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service);
+    service.state.count = 1;
+    await tick();
+    history.undo();
+    await tick();
+    service.state.count = 2;
+    await tick();
+
+    assert.strictEqual(history.canRedo, false);
+  });
+
+  test('should keep at most `limit` checkpoints', async () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service, { limit: 2 });
+    for (let count = 1; count <= 3; count++) {
+      service.state.count = count;
+      await tick();
+    }
+
+    history.undo();
+    history.undo();
+    assert.strictEqual(history.canUndo, false);
+    assert.strictEqual(service.state.count, 1);
+  });
+
+  test('should label checkpoints', async () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service);
+    history.checkpoint('increment');
+    service.state.count = 1;
+    await tick();
+
+    assert.strictEqual(history.undoLabel, 'increment');
+    history.undo();
+    assert.strictEqual(history.redoLabel, 'increment');
+    assert.strictEqual(history.undoLabel, undefined);
+  });
+
+  test('should group batches across awaits into one checkpoint', async () => {
+    const service = new ObservableService({ a: 0, b: 0 });
+    const history = createHistory(service);
+
+    const result = await history.group('both', async () => {
+      service.state.a = 1;
+      await tick();
+      service.state.b = 1;
+      return 'done';
+    });
+
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(history.undoLabel, 'both');
+    history.undo();
+    assert.deepStrictEqual(service.state, { a: 0, b: 0 });
+    assert.strictEqual(history.canUndo, false);
+  });
+
+  test('should not record empty groups', async () => {
+    const history = createHistory(new ObservableService());
+    await history.group('noop', () => {});
+    assert.strictEqual(history.canUndo, false);
+  });
+
+  test('should clear checkpoints and stop recording on dispose', async () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service);
+    service.state.count = 1;
+    await tick();
+    history.clear();
+    assert.strictEqual(history.canUndo, false);
+
+    history.dispose();
+    service.state.count = 2;
+    await tick();
+    assert.strictEqual(history.canUndo, false);
+  });
+  test('should skip computed changes when replaying', async () => {
+    const service = new ObservableService({ todos: [] });
+    service.computed('count', (state) => state.todos.length);
+    const history = createHistory(service);
+    service.state.todos.push('a');
+    await tick();
+
+    history.undo();
+    assert.strictEqual(service.state.count, 0);
+  });
+  test('should record a pending batch before undoing', () => {
+    const service = new ObservableService({ count: 0 });
+    const history = createHistory(service);
+
+    service.state.count = 1;
+    history.undo();
+    assert.strictEqual(service.state.count, 0);
+    assert.strictEqual(history.canRedo, true);
+
+    history.redo();
+    assert.strictEqual(service.state.count, 1);
+  });
+
+  test('should group batches of non-microtask schedulers', async () => {
+    const service = new ObservableService(
+      { a: 0, b: 0 },
+      { scheduler: 'timeout:50' }
+    );
+    const history = createHistory(service);
+    await history.group('slow', () => {
+      service.state.a = 1;
+      service.state.b = 1;
+    });
+
+    assert.strictEqual(history.undoLabel, 'slow');
+  });
+
+  test('should undo and redo Map and Set changes', async () => {
+    const service = new ObservableService({
+      byId: new Map([[1, 'a']]),
+      tags: new Set(['x']),
+    });
+    const history = createHistory(service);
+    const { byId, tags } = service.state;
+    byId.set(2, 'b');
+    tags.delete('x');
+    await tick();
+
+    history.undo();
+    assert.deepStrictEqual([...byId], [[1, 'a']]);
+    assert.deepStrictEqual([...tags], ['x']);
+
+    history.redo();
+    assert.deepStrictEqual(
+      [...byId],
+      [
+        [1, 'a'],
+        [2, 'b'],
+      ]
+    );
+    assert.deepStrictEqual([...tags], []);
+  });
+});
@@ -1,95 +1,1949 @@
+import { applyOperation, patchFromChanges, toJSONValue } from './patch.js';
+import { resolveScheduler } from './scheduler.js';
+import { validateWrite } from './schema.js';
+import { ReadonlyStateError } from './errors.js';
+import {
+  cloneDeep,
+  freezeCollection,
+  freezeDeep,
+  getIn,
+  isEqual,
+  isObservable,
+} from './shared.js';
+
+export {
+  PatchError,
+  ReadonlyStateError,
+  StateValidationError,
+} from './errors.js';
+
+/** `Symbol.dispose` where supported, for `using` declarations. */
+const DISPOSE = /** @type {symbol} */ (
+  /** @type {any} */ (Symbol).dispose ?? Symbol.for('Symbol.dispose')
+);
+
+/**
+ * Whether nested snapshot objects are frozen as well as the root. Skipped in
+ * production builds, where freezing every copied object costs more than the
+ * mistakes it catches.
+ */
+const FREEZE_SNAPSHOTS = globalThis.process?.env?.NODE_ENV !== 'production';
+
+/** @type {Set<string|symbol>} */
+const ARRAY_MUTATORS = new Set([
+  'copyWithin',
+  'fill',
+  'pop',
+  'push',
+  'reverse',
+  'shift',
+  'sort',
+  'splice',
+  'unshift',
+]);
+
+/** @type {Required<TrapOptions>} */
+const DEFAULT_TRAPS = {
+  defineProperty: 'notify',
+  setPrototypeOf: 'reject',
+  preventExtensions: 'reject',
+};
+
+/** How each trap's operation is described in errors. */
+const TRAP_OPERATIONS = {
+  defineProperty: 'define',
+  setPrototypeOf: 'set the prototype of',
+  preventExtensions: 'prevent extensions of',
+};
+
+/**
+ * Fills in the default of every trap missing from a `traps` option.
+ * @param {TrapOptions} [traps]
+ * @returns {Required<TrapOptions>}
+ * @throws {TypeError} When a trap or mode is not known
+ */
+const resolveTraps = (traps = {}) => {
+  const resolved = { ...DEFAULT_TRAPS, ...traps };
+  for (const [trap, mode] of Object.entries(resolved)) {
+    const valid =
+      Object.hasOwn(DEFAULT_TRAPS, trap) &&
+      (mode === 'reject' ||
+        mode === 'passthrough' ||
+        (mode === 'notify' && trap === 'defineProperty'));
+    if (!valid) throw new TypeError(`Unknown ${trap} trap mode "${mode}"`);
+  }
+  return resolved;
+};
+
+/** @type {Set<string|symbol>} */
+const COLLECTION_MUTATORS = new Set(['add', 'clear', 'delete', 'set']);
+
+/**
+ * @param {unknown} value
+ * @returns {value is Map<any, any>|Set<any>}
+ */
+const isCollection = (value) => value instanceof Map || value instanceof Set;
+
+/**
+ * Shallow copy of a `Map` or `Set`.
+ * @param {Map<any, any>|Set<any>} collection
+ */
+const copyCollection = (collection) =>
+  collection instanceof Map ? new Map(collection) : new Set(collection);
+
+/**
+ * @typedef {object} ChangeDescriptor A single operation recorded in a batch.
+ * @property {Array<string|symbol>} path - Keys from the state root to the changed value
+ * @property {'set'|'delete'|'array-splice'|'collection'} kind - `array-splice` covers a whole array method call or `length` write, `collection` a whole `Map`/`Set` method call
+ * @property {any} prev - Value before the operation (a copy of the array, `Map` or `Set` for `array-splice` and `collection`); objects are immutable snapshots, like the states subscribers receive
+ * @property {any} next - Value after the operation (`undefined` for `delete`); objects are immutable snapshots
+ * @property {boolean} [computed] - Set for changes of a computed property
+ */
+
+/**
+ * @typedef {object} BatchLabel Describes what caused a batch; see `label()`.
+ * @property {string} type - E.g. the name of an action
+ * @property {any} [payload]
+ */
+
+/**
+ * @typedef {object} Batch The frozen arguments one notification passes to subscribers.
+ * @property {Readonly<Record<string, any>>} fresh - State after the batch
+ * @property {Readonly<Record<string, any>>} stale - State before the batch
+ * @property {ReadonlyArray<ChangeDescriptor>} changes - Operations in the batch
+ * @property {BatchLabel} [label] - Set with `label()`
+ */
+
+/**
+ * @callback ErrorHandler
+ * @param {unknown} error - What the subscriber (or computed property) threw
+ * @param {{ subscriber?: function, batch?: Batch, computed?: string|symbol }} details - The failing subscriber and the batch it was handling, or the name of the computed property that threw while a batch was emitted
+ * @returns {void}
+ */
+
+/**
+ * @typedef {object} MiddlewareContext Describes a write passing through `use()` middleware.
+ * @property {'set'|'delete'} op - Kind of write
+ * @property {any} key - Key being written on its parent object, or the entry key (`Map`) or item (`Set`) of a collection method
+ * @property {Array<string|symbol>} path - Keys from the state root to the written value
+ * @property {any} value - Value to write; may be replaced by middleware (`undefined` for `delete`)
+ * @property {any} prev - Current value
+ * @property {Record<string, any>} state - The root state proxy
+ * @property {object} [collection] - The `Map` or `Set` being changed, for collection methods
+ */
+
+/**
+ * @callback Middleware
+ * @param {MiddlewareContext} context
+ * @param {() => boolean} next - Continues the pipeline and returns its result
+ * @returns {boolean|void}
+ */
+
+/**
+ * @typedef {import('./schema.js').Schema} Schema
+ */
+
+/**
+ * @typedef {import('./patch.js').PatchOperation} PatchOperation
+ */
+
+/**
+ * @typedef {import('./scheduler.js').Scheduler} Scheduler
+ * @typedef {import('./scheduler.js').SchedulerOption} SchedulerOption
+ */
+
+/**
+ * How the state proxy handles `Object.defineProperty` (and
+ * `Object.defineProperties`), `Object.setPrototypeOf` and
+ * `Object.preventExtensions`. `notify` treats defining a value as a write,
+ * `reject` throws a `TypeError` and `passthrough` applies the operation
+ * without notifying subscribers. Prototypes and extensibility are not part
+ * of the state's value, so they cannot be notified.
+ * @typedef {object} TrapOptions
+ * @property {'notify'|'reject'|'passthrough'} [defineProperty] - Default `'notify'`
+ * @property {'reject'|'passthrough'} [setPrototypeOf] - Default `'reject'`
+ * @property {'reject'|'passthrough'} [preventExtensions] - Default `'reject'`
+ */
+
+/**
+ * @typedef {object} ObservableOptions
+ * @property {Schema} [schema] - Validates every write and delete; invalid ones throw a `StateValidationError`
+ * @property {SchedulerOption} [scheduler] - When pending batches are emitted (default `'microtask'`)
+ * @property {TrapOptions} [traps] - Handling of property definitions, prototype changes and `preventExtensions`
+ */
+
+/**
+ * @typedef {object} SubscribeOptions
+ * @property {AbortSignal} [signal] - Removes the subscription when aborted
+ * @property {boolean} [once] - Removes the subscription after its first call
+ * @property {boolean} [immediate] - Also calls it right away with the current state
+ * @property {number} [priority] - Higher priorities are notified first (default 0)
+ * @property {(prev: any, next: any) => boolean} [equals] - Decides whether a scoped slice changed
+ */
+
+/**
+ * Removes a subscription. Also available as `disposer[Symbol.dispose]` so a
+ * subscription can be held by a `using` declaration.
+ * @typedef {(() => void) & Record<symbol, () => void>} Disposer
+ */
+
+/**
+ * @typedef {object} Subscription
+ * @property {function} subscriber - Function given to `subscribe` (the listener for scoped subscriptions)
+ * @property {function} callback - Called with each batch
+ * @property {number} priority
+ * @property {boolean} active - Cleared once removed, so a batch being emitted skips it
+ */
+
+/**
+ * @typedef {object} ComputedEntry
+ * @property {(state: Record<string, any>) => any} fn
+ * @property {Set<string|symbol>} deps - Top-level state keys read by `fn`
+ * @property {any} value - Cached result
+ * @property {boolean} [dirty] - Whether a dependency changed since `value` was computed
+ */
+
+/**
+ * @typedef {object} WriteScope The writes of a transaction (or atomic call), so it can be undone.
+ * @property {Array<() => void>} undo - Restore the raw state before each write, in write order
+ * @property {Set<ChangeDescriptor>} changes - Descriptors recorded by the writes
+ * @property {WeakMap<object, object>} drafts - Draft of each state proxy the scope handed out
+ * @property {WriteScope} [parent] - Adopts the writes once the scope succeeds
+ */
+
 /**
  * @class ObservableService
  * @description Observable state management using Proxy API.
  * @typedef {object} ObservableTypes Auto-detects changes and notifies subscribers w/ frozen immutable state.
  * @property {object} state - Proxy object for state manipulation
+ * @property {function} readonly - Read-only view of the state
+ * @property {function} freeze - Reject every write until `unfreeze()`
+ * @property {function} unfreeze - Allow writes again after `freeze()`
  * @property {function} amendState - Update a state property
  * @property {function} pruneState - Remove a state property
+ * @property {function} computed - Define a derived read-only state property
+ * @property {function} transaction - Apply changes atomically with rollback
+ * @property {function} batch - Apply synchronous changes atomically with rollback
+ * @property {function} toPatch - Convert changes to JSON Patch operations
+ * @property {function} applyPatch - Apply JSON Patch operations atomically
+ * @property {function} snapshot - Deep frozen copy of the state
+ * @property {function} restore - Replace the state with a snapshot as one batch
+ * @property {function} use - Add write middleware
+ * @property {function} onError - Handle errors thrown by subscribers
+ * @property {function} flush - Emit the pending batch immediately
+ * @property {function} label - Describe what caused the pending batch
+ * @property {function} changes - Iterate emitted batches asynchronously
+ * @property {function} when - Wait until the state satisfies a predicate
  * @property {function} subscribe - Add change subscriber
  * @property {function} unsubscribe - Remove specific subscriber
  * @property {function} unsubscribeAll - Remove all subscribers
  * @example
- * const service = new ObservableService({ key: 'value' });
- * service.subscribe((fresh, stale) => console.log('Changed:', fresh));
+ * const service = new ObservableService({ key: 'value', user: { name: 'John' } });
+ * service.subscribe((fresh, stale, changes) => console.log('Changed:', changes));
  * service.state.key = 'newValue'; // Triggers notification
+ * service.state.user.name = 'Jane'; // Nested writes notify as well
  */
 export /** @type {ObservableTypes} */ class ObservableService {
-  /** @type {Set<function>} */ #subscribers = new Set();
+  /** @type {Subscription[]} */ #subscribers = [];
   /** @type {boolean} */ #queuedUpdateNotice = false;
   /** @type {object} */ #preBatchStaleState = {};
   /** @type {Record<string, any>} */ #state = {};
   /** @type {Record<string, any>} */ #target = {};
+  /** @type {WeakMap<object, object>} */ #proxies = new WeakMap();
+  /** @type {WeakMap<object, object>} */ #raws = new WeakMap();
+  /** @type {WeakMap<object, Map<object, Set<any>>>} */ #parents =
+    new WeakMap();
+  /** @type {WeakMap<object, any>} */ #snapshots = new WeakMap();
+  /** @type {WeakSet<object>} */ #splicing = new WeakSet();
+  /** @type {ChangeDescriptor[]} */ #changes = [];
+  /** @type {Map<string|symbol, ComputedEntry>} */ #computed = new Map();
+  /** @type {Map<string|symbol, any>} */ #staleComputed = new Map();
+  /** @type {Set<string|symbol>|undefined} */ #tracking;
+  /** @type {number} */ #holdDepth = 0;
+  /** @type {Middleware[]} */ #middleware = [];
+  /** @type {Schema|undefined} */ #schema;
+  /** @type {Set<ErrorHandler>} */ #errorHandlers = new Set();
+  /** @type {Scheduler} */ #scheduler;
+  /** @type {object|undefined} */ #heldUpdate;
+  /** @type {BatchLabel|undefined} */ #label;
+  /** @type {WeakMap<object, object>} */ #views = new WeakMap();
+  /** @type {WeakMap<object, Array<string|symbol>>} */ #viewPaths =
+    new WeakMap();
+  /** @type {boolean} */ #frozen = false;
+  /** @type {Required<TrapOptions>} */ #traps;
+  /** @type {WriteScope|undefined} */ #scope;
+  /** @type {WeakMap<object, object>} */ #drafts = new WeakMap();
 
-  constructor(/** @type {object} */ source = {}) {
-    this.#subscribers = new Set();
+  /**
+   * @param {object} [source] - Initial state; observed in place
+   * @param {ObservableOptions} [options]
+   */
+  constructor(source = {}, { schema, scheduler, traps } = {}) {
     this.#target = source;
+    this.#schema = schema;
+    this.#scheduler = resolveScheduler(scheduler);
+    this.#traps = resolveTraps(traps);
+    this.#state = this.#observe(source);
+  }
+
+  get state() /** @type {object} */ {
+    return this.#state;
+  }
+
+  /**
+   * Returns a view of the state for code that must not change it: reads
+   * (including computed values) see the live state, while writing,
+   * deleting, defining properties, changing prototypes or calling mutating
+   * array, `Map` and `Set` methods throws a `ReadonlyStateError` at any
+   * depth.
+   * @returns {Readonly<Record<string, any>>}
+   * @example
+   * widget.render(service.readonly());
+   */
+  readonly() {
+    return this.#view(this.#state, []);
+  }
+
+  /**
+   * Rejects every write to the state with a `ReadonlyStateError` until
+   * `unfreeze()` is called, e.g. during a critical section.
+   * @example
+   * service.freeze();
+   * try {
+   *   await exportState(service.state);
+   * } finally {
+   *   service.unfreeze();
+   * }
+   */
+  freeze() {
+    this.#frozen = true;
+  }
+
+  /**
+   * Allows writes again after `freeze()`.
+   */
+  unfreeze() {
+    this.#frozen = false;
+  }
+
+  /**
+   * Adds a subscriber for every change, or — when a `listener` is given —
+   * a scoped listener that only runs when the selected slice changes. The
+   * same function may be subscribed more than once; each call returns a
+   * disposer removing only that registration.
+   * @param {function|string|Array<string|symbol>} subscriber - Subscriber, selector function or path such as `'user.preferences.theme'`
+   * @param {function|SubscribeOptions} [listener] - Receives `(next, prev)` selected values; omit to pass options for a plain subscriber
+   * @param {SubscribeOptions} [options] - `equals` (scoped listeners only) defaults to structural equality
+   * @returns {Disposer} Removes the subscription; also callable through `Symbol.dispose`
+   * @example
+   * service.subscribe('user.preferences.theme', (theme) => applyTheme(theme));
+   * service.subscribe((state) => state.todos.length, (count) => render(count));
+   * using subscription = service.subscribe(render, { immediate: true });
+   */
+  subscribe(subscriber, listener, options = {}) {
+    const scoped = typeof listener === 'function';
+    const {
+      equals = isEqual,
+      signal,
+      once = false,
+      immediate = false,
+      priority = 0,
+    } = scoped ? options : (listener ?? {});
+    const target = /** @type {function} */ (scoped ? listener : subscriber);
+    /** @type {Subscription} */
+    const entry = {
+      subscriber: target,
+      callback: target,
+      priority,
+      active: true,
+    };
+    const dispose = /** @type {Disposer} */ (
+      () => {
+        if (!entry.active) return;
+        entry.active = false;
+        this.#subscribers.splice(this.#subscribers.indexOf(entry), 1);
+        signal?.removeEventListener('abort', dispose);
+      }
+    );
+    dispose[DISPOSE] = dispose;
+    if (signal?.aborted) return dispose;
+
+    const notify = once
+      ? (/** @type {any[]} */ ...args) => {
+          dispose();
+          return target(...args);
+        }
+      : target;
+    const select =
+      typeof subscriber === 'function'
+        ? subscriber
+        : (/** @type {object} */ state) => getIn(state, subscriber);
+    entry.callback = scoped
+      ? (/** @type {object} */ fresh, /** @type {object} */ stale) => {
+          const next = select(fresh);
+          const prev = select(stale);
+          equals(prev, next) || notify(next, prev);
+        }
+      : notify;
+
+    // Higher priorities run first; equal priorities in subscription order.
+    const index = this.#subscribers.findIndex(
+      (other) => other.priority < priority
+    );
+    this.#subscribers.splice(
+      index === -1 ? this.#subscribers.length : index,
+      0,
+      entry
+    );
+    signal?.addEventListener('abort', dispose, { once: true });
+    if (immediate) {
+      const state = this.#snapshot();
+      scoped ? notify(select(state), undefined) : notify(state, state, []);
+    }
+    return dispose;
+  }
+
+  /**
+   * Removes every registration of `subscriber` (for scoped subscriptions,
+   * the listener).
+   * @param {function} subscriber
+   */
+  unsubscribe(subscriber) {
+    for (const entry of [...this.#subscribers]) {
+      if (entry.subscriber !== subscriber) continue;
+      entry.active = false;
+      this.#subscribers.splice(this.#subscribers.indexOf(entry), 1);
+    }
+  }
+
+  unsubscribeAll() {
+    for (const entry of this.#subscribers) entry.active = false;
+    this.#subscribers = [];
+  }
+
+  /**
+   * Defines a read-only property on `state` derived from other state keys.
+   * The keys `fn` reads through the state proxy are tracked; the cached
+   * value is recomputed only when one of them changes, and a change in the
+   * derived value is reported to subscribers like any other `set`.
+   * @param {string|symbol} name
+   * @param {(state: Record<string, any>) => any} fn
+   * @example
+   * service.computed('remaining', (state) =>
+   *   state.todos.filter((todo) => !todo.completed).length
+   * );
+   * service.state.remaining; // 2
+   */
+  computed(name, fn) {
+    if (Object.hasOwn(this.#target, name) || this.#computed.has(name)) {
+      throw new TypeError(`"${String(name)}" is already defined on state`);
+    }
+    this.#computed.set(name, { fn, deps: new Set(), value: undefined });
+    try {
+      this.#evaluate(name);
+    } catch (error) {
+      this.#computed.delete(name);
+      throw error;
+    }
+  }
+
+  amendState(/** @type {string|symbol} */ key, /** @type {any} */ change) {
+    if (this.#computed.has(key)) return false;
+    return this.#amend(this.#target, key, change);
+  }
+
+  pruneState(/** @type {string|symbol} */ key) {
+    if (this.#computed.has(key)) return false;
+    return this.#prune(this.#target, key);
+  }
+
+  /**
+   * Adds a middleware around every write and delete, whether it comes
+   * through the state proxy (at any depth) or `amendState`/`pruneState`.
+   * Middleware run in the order they were added. Each one may change
+   * `context.value` before calling `next()`, run side-effects before or
+   * after it, return `false` to veto the write (the proxy trap then fails),
+   * or return `true` without calling `next()` to skip the write while
+   * reporting success. When neither `next()` is called nor a boolean is
+   * returned, the write continues.
+   * @param {Middleware} middleware
+   * @returns {() => void} Removes the middleware
+   * @example
+   * service.use((context, next) => {
+   *   if (context.key === 'email') context.value = context.value.trim();
+   *   const result = next();
+   *   console.info(context.op, context.path.join('.'), context.value);
+   *   return result;
+   * });
+   */
+  use(middleware) {
+    this.#middleware.push(middleware);
+    return () => {
+      const index = this.#middleware.indexOf(middleware);
+      index === -1 || this.#middleware.splice(index, 1);
+    };
+  }
+
+  /**
+   * Runs `fn` with a draft of the state: a proxy that writes to the state
+   * like `state` does, at any depth, while recording each write so it can be
+   * undone. If `fn` throws or rejects, the writes made through the draft are
+   * undone in place, without notifying subscribers; other writes, and
+   * objects read from the state before, are left alone.
+   *
+   * Until the returned promise settles — across `await`s — every batch is
+   * held, including writes made elsewhere meanwhile: subscribers are
+   * notified once when the transaction settles, with the writes that
+   * remain.
+   * @template T
+   * @param {(draft: Record<string, any>) => T | Promise<T>} fn
+   * @returns {Promise<T>}
+   * @example
+   * await service.transaction(async (draft) => {
+   *   draft.saving = true;
+   *   draft.todos = await api.save(draft.todos);
+   *   draft.saving = false;
+   * }); // subscribers are notified once
+   */
+  async transaction(fn) {
+    const scope = this.#open();
+    this.#holdDepth++;
+    try {
+      const result = await fn(this.#draft(this.#state, scope));
+      this.#close(scope);
+      return result;
+    } catch (error) {
+      this.#rollback(scope);
+      throw error;
+    } finally {
+      this.#release();
+    }
+  }
+
+  /**
+   * Runs `fn` synchronously as one batch: every write it makes, through
+   * `state` or anything else, is emitted together. If `fn` throws, those
+   * writes are undone in place without notifying subscribers and the error
+   * is rethrown.
+   * @template T
+   * @param {() => T} fn
+   * @returns {T} What `fn` returned
+   * @example
+   * service.batch(() => {
+   *   service.state.from.balance -= 10;
+   *   service.state.to.balance += 10; // a schema error here undoes both
+   * });
+   */
+  batch(fn) {
+    return this.#atomically(fn);
+  }
+
+  /**
+   * Converts change descriptors to RFC 6902 JSON Patch operations, e.g. to
+   * send a batch over the wire from a subscriber. Without `changes`, returns
+   * a patch replacing the whole document with the current state (computed
+   * properties excluded).
+   * @param {ReadonlyArray<ChangeDescriptor>} [changes]
+   * @throws {TypeError} When a change (or the state) holds a `Map` or `Set`
+   * @returns {PatchOperation[]}
+   * @example
+   * service.subscribe((fresh, stale, changes) => {
+   *   socket.send(JSON.stringify(service.toPatch(changes)));
+   * });
+   */
+  toPatch(changes) {
+    if (!changes) {
+      return [
+        { op: 'replace', path: '', value: toJSONValue(this.#target, []) },
+      ];
+    }
+    return patchFromChanges(changes, this.#target);
+  }
+
+  /**
+   * Applies RFC 6902 JSON Patch operations atomically through the state
+   * proxy, so middleware and schemas see every write and subscribers are
+   * notified with one batch. If any operation is invalid, fails its `test`
+   * or is rejected, the state is restored without notifying subscribers and
+   * the error is thrown.
+   * @param {PatchOperation[]} operations
+   * @throws {PatchError}
+   * @example
+   * service.applyPatch([
+   *   { op: 'test', path: '/version', value: 1 },
+   *   { op: 'add', path: '/todos/-', value: { title: 'Ship it' } },
+   *   { op: 'replace', path: '/version', value: 2 },
+   * ]);
+   */
+  applyPatch(operations) {
+    if (!Array.isArray(operations)) {
+      throw new TypeError('A patch must be an array of operations');
+    }
+    this.#atomically(() =>
+      operations.forEach((operation, index) =>
+        applyOperation(this.#state, operation, index)
+      )
+    );
+  }
+
+  /**
+   * Returns a deep, frozen copy of the state (computed properties
+   * excluded) that can be passed to `restore` or `structuredClone`d, as long
+   * as the state only holds structured-clone-safe values.
+   * @returns {Readonly<Record<string, any>>}
+   * @example
+   * const saved = service.snapshot();
+   * service.state.todos.push({ title: 'Draft' });
+   * service.restore(saved);
+   */
+  snapshot() {
+    return freezeDeep(cloneDeep(this.#target));
+  }
+
+  /**
+   * Replaces the state with a copy of `snapshot` through the state proxy.
+   * Only values that differ are written — keys missing from `snapshot` are
+   * deleted — so subscribers receive one batch describing exactly what
+   * changed. If a write is rejected, the state is left unchanged and the
+   * error is thrown.
+   * @param {Record<string, any>} snapshot
+   */
+  restore(snapshot) {
+    if (!isObservable(snapshot) || Array.isArray(snapshot)) {
+      throw new TypeError('A snapshot must be a plain object');
+    }
+    /**
+     * @param {Record<string, any>} draft
+     * @param {Record<string, any>} source
+     */
+    const reconcile = (draft, source) => {
+      for (const key of Object.keys(draft)) {
+        Object.hasOwn(source, key) || delete draft[key];
+      }
+      for (const key of Object.keys(source)) {
+        const [current, next] = [draft[key], source[key]];
+        if (Object.hasOwn(draft, key) && isEqual(current, next)) continue;
+        const nested =
+          isObservable(current) &&
+          isObservable(next) &&
+          !Array.isArray(current) &&
+          !Array.isArray(next);
+        nested ? reconcile(current, next) : (draft[key] = cloneDeep(next));
+      }
+    };
+    this.#atomically(() => reconcile(this.#state, snapshot));
+  }
 
-    /** @type {ProxyHandler<object>} */
+  addToQueue(/** @type {object} */ update) {
+    if (this.#queuedUpdateNotice) return;
+    this.#queuedUpdateNotice = true;
+    this.#scheduler(() => this.#emitBatch(update));
+  }
+
+  /**
+   * Emits the pending batch now instead of waiting for the scheduler.
+   * Inside a transaction, the batch is still held until it commits.
+   * @example
+   * service.state.count = 1;
+   * service.flush(); // subscribers have been notified
+   */
+  flush() {
+    this.#emitBatch(this.#target);
+  }
+
+  /**
+   * Labels the pending batch with what caused it, e.g. an action name and
+   * its payload. Subscribers receive the label as their fourth argument
+   * and tools such as `connectDevtools` display it. Call it after the
+   * writes; when several labels are given for one batch, the last wins.
+   * @param {string} type
+   * @param {any} [payload]
+   * @returns {boolean} `false` when no batch is pending, so nothing was labelled
+   * @example
+   * service.state.todos.push(todo);
+   * service.label('addTodo', todo);
+   */
+  label(type, payload) {
+    if (!this.#queuedUpdateNotice) return false;
+    this.#label = Object.freeze({ type, payload });
+    return true;
+  }
+
+  /**
+   * Returns an async iterator over the `{ fresh, stale }` states of every
+   * batch emitted from now on. Batches emitted while the consumer is busy
+   * are buffered; beyond `bufferSize`, the two oldest buffered batches are
+   * merged into one spanning both, so a slow consumer still sees every
+   * change without falling further behind. Calling `return()` — or leaving
+   * a `for await` loop — unsubscribes.
+   * @param {{ bufferSize?: number }} [options] - `bufferSize` defaults to `Infinity`
+   * @returns {AsyncIterableIterator<Pick<Batch, 'fresh'|'stale'>>}
+   * @example
+   * for await (const { fresh, stale } of service.changes({ bufferSize: 1 })) {
+   *   await api.save(fresh);
+   * }
+   */
+  changes({ bufferSize = Infinity } = {}) {
+    /** @type {Array<Pick<Batch, 'fresh'|'stale'>>} */ const buffered = [];
+    /** @type {Array<(result: IteratorResult<Pick<Batch, 'fresh'|'stale'>>) => void>} */
+    const waiting = [];
+    /** @type {IteratorReturnResult<undefined>} */
+    const done = Object.freeze({ value: undefined, done: true });
+    let finished = false;
+    const subscriber = (
+      /** @type {Readonly<Record<string, any>>} */ fresh,
+      /** @type {Readonly<Record<string, any>>} */ stale
+    ) => {
+      const resolve = waiting.shift();
+      if (resolve) return resolve({ value: { fresh, stale }, done: false });
+      buffered.push({ fresh, stale });
+      if (buffered.length > Math.max(bufferSize, 1)) {
+        const [oldest] = buffered.splice(0, 1);
+        buffered[0] = { fresh: buffered[0].fresh, stale: oldest.stale };
+      }
+    };
+    const unsubscribe = this.subscribe(subscriber);
+    return {
+      next: async () => {
+        const value = buffered.shift();
+        if (value) return { value, done: false };
+        if (finished) return done;
+        return new Promise((resolve) => waiting.push(resolve));
+      },
+      return: async () => {
+        finished = true;
+        buffered.length = 0;
+        unsubscribe();
+        for (const resolve of waiting.splice(0)) resolve(done);
+        return done;
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Resolves with the state once `predicate` returns a truthy value for it,
+   * checking the current state first and then every emitted batch's fresh
+   * state. Rejects with the signal's reason when `signal` aborts, with a
+   * `TimeoutError` `DOMException` after `timeout` milliseconds, or with
+   * whatever `predicate` throws.
+   * @param {(state: Readonly<Record<string, any>>) => unknown} predicate
+   * @param {{ signal?: AbortSignal, timeout?: number }} [options]
+   * @returns {Promise<Readonly<Record<string, any>>>}
+   * @example
+   * await service.when((state) => !state.isLoading, { timeout: 5000 });
+   */
+  when(predicate, { signal, timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      /** @type {ReturnType<typeof setTimeout>|undefined} */ let timer;
+      /** @type {(() => void)|undefined} */ let unsubscribe;
+      let settled = false;
+      const settle = (/** @type {() => void} */ outcome) => {
+        settled = true;
+        clearTimeout(timer);
+        unsubscribe?.();
+        signal?.removeEventListener('abort', abort);
+        outcome();
+      };
+      const check = (/** @type {Readonly<Record<string, any>>} */ state) => {
+        try {
+          predicate(state) && settle(() => resolve(state));
+        } catch (error) {
+          settle(() => reject(error));
+        }
+      };
+      const abort = () => settle(() => reject(signal?.reason));
+      if (signal?.aborted) return abort();
+      check(this.#snapshot());
+      if (settled) return;
+      unsubscribe = this.subscribe(check);
+      signal?.addEventListener('abort', abort, { once: true });
+      if (timeout !== undefined) {
+        const error = new DOMException(
+          `State condition not met within ${timeout}ms`,
+          'TimeoutError'
+        );
+        timer = setTimeout(() => settle(() => reject(error)), timeout);
+      }
+    });
+  }
+
+  /**
+   * Notifies subscribers with frozen copies of the state and the batch's
+   * change descriptors, in the order the operations ran. Each subscriber
+   * runs in isolation: one that throws is reported through `onError` and
+   * the remaining subscribers are still notified.
+   * @param {object} fresh
+   * @param {object} stale
+   * @param {ChangeDescriptor[]} [changes]
+   * @param {BatchLabel} [label]
+   */
+  emitQueued(fresh, stale, changes = [], label) {
+    const freeze = (/** @type {object} */ state) =>
+      Object.isFrozen(state) ? state : Object.freeze({ ...state });
+    const batch = Object.freeze({
+      fresh: freeze(fresh),
+      stale: freeze(stale),
+      changes: Object.freeze([...changes]),
+      label,
+    });
+    for (const { subscriber, callback, active } of [...this.#subscribers]) {
+      if (!active) continue;
+      try {
+        callback(batch.fresh, batch.stale, batch.changes, batch.label);
+      } catch (error) {
+        this.#reportError(error, { subscriber, batch });
+      }
+    }
+  }
+
+  /**
+   * Registers a handler for errors thrown by subscribers. Without any
+   * handler, errors go to `reportError` where available, else
+   * `console.error`.
+   * @param {ErrorHandler} handler
+   * @returns {() => void} Removes the handler
+   * @example
+   * service.onError((error, { subscriber, batch }) => {
+   *   telemetry.capture(error, { changes: batch.changes });
+   * });
+   */
+  onError(handler) {
+    this.#errorHandlers.add(handler);
+    return () => void this.#errorHandlers.delete(handler);
+  }
+
+  /**
+   * Hands a subscriber (or computed) error to the registered handlers,
+   * falling back to the host's error reporting when there are none or a
+   * handler throws itself.
+   * @param {unknown} error
+   * @param {Parameters<ErrorHandler>[1]} details
+   */
+  #reportError(error, details) {
+    const fallback = (/** @type {unknown} */ failure) =>
+      typeof globalThis.reportError === 'function'
+        ? globalThis.reportError(failure)
+        : console.error(failure);
+    if (!this.#errorHandlers.size) return fallback(error);
+    for (const handler of this.#errorHandlers) {
+      try {
+        handler(error, details);
+      } catch (failure) {
+        fallback(failure);
+      }
+    }
+  }
+
+  /**
+   * Returns the immutable snapshot of the current state, including computed
+   * values, shaped like the `fresh` state subscribers receive.
+   * @returns {Readonly<Record<string, any>>}
+   */
+  #snapshot() {
+    /** @type {Record<string|symbol, any>} */ const derived = {};
+    for (const name of this.#computed.keys()) {
+      derived[name] = this.#readComputed(name);
+    }
+    return this.#publish(derived);
+  }
+
+  /**
+   * Returns the snapshot of the whole state with `derived` (computed values)
+   * added, reusing the last one while nothing was written and no computed
+   * value changed.
+   * @param {Record<string|symbol, any>} [derived]
+   * @returns {Readonly<Record<string|symbol, any>>}
+   */
+  #publish(derived = {}) {
+    const root = this.#snapshots.get(this.#target);
+    const current = Reflect.ownKeys(derived).every((name) =>
+      Object.is(root?.[name], derived[name])
+    );
+    if (root && current) return root;
+    this.#snapshots.delete(this.#target);
+    return this.#share(this.#target, derived);
+  }
+
+  /**
+   * Returns the immutable copy of `raw` used in snapshots. Copies are cached
+   * until a write below `raw` discards them (see `#touch`), so a batch only
+   * copies the objects on the paths it wrote to and shares the rest with
+   * earlier snapshots. Copying links each child to `raw`, so a write to a
+   * child discards every cached copy that contains it. The root is always
+   * frozen, nested copies only outside production.
+   * @param {object} raw - A plain object, array, `Map` or `Set` of the state
+   * @param {Record<string|symbol, any>} [extra] - Properties added to the copy
+   * @returns {any}
+   */
+  #share(raw, extra) {
+    const cached = this.#snapshots.get(raw);
+    if (cached) return cached;
+    const share = (/** @type {any} */ value) =>
+      isObservable(value) || isCollection(value) ? this.#share(value) : value;
+    /** @type {any} */ let copy;
+    if (raw instanceof Map) {
+      copy = new Map();
+      this.#snapshots.set(raw, copy);
+      for (const [key, value] of raw) {
+        this.#link(raw, key, value);
+        copy.set(key, share(value));
+      }
+    } else if (raw instanceof Set) {
+      copy = new Set();
+      this.#snapshots.set(raw, copy);
+      for (const value of raw) {
+        this.#link(raw, value, value);
+        copy.add(share(value));
+      }
+    } else if (Array.isArray(raw)) {
+      copy = new Array(raw.length);
+      this.#snapshots.set(raw, copy);
+      raw.forEach((value, index) => {
+        this.#link(raw, String(index), value);
+        copy[index] = share(value);
+      });
+    } else {
+      copy = { ...raw };
+      this.#snapshots.set(raw, copy);
+      for (const key of Reflect.ownKeys(copy)) {
+        this.#link(raw, key, copy[key]);
+        copy[key] = share(copy[key]);
+      }
+      extra && Object.assign(copy, extra);
+    }
+    if (!FREEZE_SNAPSHOTS && raw !== this.#target) return copy;
+    return isCollection(copy) ? freezeCollection(copy) : Object.freeze(copy);
+  }
+
+  /**
+   * Returns the snapshot of `value` when it is an object, array or
+   * collection, so change descriptors never hand out raw state.
+   * @param {any} value
+   * @returns {any}
+   */
+  #capture(value) {
+    return isObservable(value) || isCollection(value)
+      ? this.#share(value)
+      : value;
+  }
+
+  /**
+   * Discards the cached snapshots of `raw` and every object above it, as a
+   * write to `raw` is about to change them. An object stored in several
+   * places has several parents, and each of them is discarded.
+   * @param {object} raw
+   * @param {Set<object>} [visited] - Guards against cycles in the state
+   */
+  #touch(raw, visited = new Set()) {
+    if (visited.has(raw)) return;
+    visited.add(raw);
+    this.#snapshots.delete(raw);
+    for (const parent of this.#parents.get(raw)?.keys() ?? []) {
+      this.#touch(parent, visited);
+    }
+  }
+
+  /**
+   * Ends one level of holding (a transaction or an array method call) and
+   * emits the batch held back while anything was holding.
+   */
+  #release() {
+    this.#holdDepth--;
+    const held = this.#heldUpdate;
+    if (!this.#holdDepth && held) {
+      this.#heldUpdate = undefined;
+      this.#emitBatch(held);
+    }
+  }
+
+  /**
+   * Emits the pending batch, or holds it until the outermost transaction
+   * (or array method call) has finished.
+   * @param {object} update
+   */
+  #emitBatch(update) {
+    if (!this.#queuedUpdateNotice) return;
+    if (this.#holdDepth) {
+      this.#heldUpdate = update;
+      return;
+    }
+    const stale = this.#preBatchStaleState;
+    const changes = this.#changes;
+    const label = this.#label;
+    this.#queuedUpdateNotice = false;
+    this.#preBatchStaleState = {};
+    this.#changes = [];
+    this.#label = undefined;
+    const published = update === this.#target;
+    if (!this.#computed.size) {
+      return this.emitQueued(
+        published ? this.#publish() : update,
+        stale,
+        changes,
+        label
+      );
+    }
+    const derived = this.#settleComputed(changes);
+    const settled = Reflect.ownKeys(derived.stale).every((name) =>
+      Object.is(/** @type {any} */ (stale)[name], derived.stale[name])
+    );
+    this.emitQueued(
+      published
+        ? this.#publish(derived.fresh)
+        : { ...update, ...derived.fresh },
+      settled ? stale : { ...stale, ...derived.stale },
+      changes,
+      label
+    );
+  }
+
+  /**
+   * Runs `fn` synchronously as one batch, undoing its writes without
+   * notifying subscribers if it throws.
+   * @template T
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  #atomically(fn) {
+    const scope = this.#open();
+    this.#holdDepth++;
+    try {
+      const result = this.#within(scope, fn);
+      this.#close(scope);
+      return result;
+    } catch (error) {
+      this.#rollback(scope);
+      throw error;
+    } finally {
+      this.#release();
+    }
+  }
+
+  /**
+   * Starts recording writes in a new scope, nested in the current one.
+   * @returns {WriteScope}
+   */
+  #open() {
+    return {
+      undo: [],
+      changes: new Set(),
+      drafts: new WeakMap(),
+      parent: this.#scope,
+    };
+  }
+
+  /**
+   * Runs `fn` with its writes recorded in `scope`.
+   * @template T
+   * @param {WriteScope} scope
+   * @param {() => T} fn
+   * @returns {T}
+   */
+  #within(scope, fn) {
+    const outer = this.#scope;
+    this.#scope = scope;
+    try {
+      return fn();
+    } finally {
+      this.#scope = outer;
+    }
+  }
+
+  /**
+   * Hands the writes of a successful scope to its parent, which may still
+   * undo them.
+   * @param {WriteScope} scope
+   */
+  #close({ undo, changes, parent }) {
+    if (!parent) return;
+    parent.undo.push(...undo);
+    for (const change of changes) parent.changes.add(change);
+  }
+
+  /**
+   * Undoes the writes of `scope` in place, newest first, and drops their
+   * changes from the pending batch without notifying subscribers. The batch
+   * is discarded when nothing else changed in it.
+   * @param {WriteScope} scope
+   */
+  #rollback({ undo, changes }) {
+    for (const restore of undo.reverse()) restore();
+    this.#changes = this.#changes.filter((change) => !changes.has(change));
+    for (const name of this.#computed.keys()) this.#evaluate(name);
+    if (this.#changes.length) return;
+    this.#queuedUpdateNotice = false;
+    this.#preBatchStaleState = {};
+    this.#heldUpdate = undefined;
+    this.#staleComputed.clear();
+    this.#label = undefined;
+  }
+
+  /**
+   * Returns the draft of `observed` (a state proxy) for `scope`: reads go to
+   * `observed`, with nested state proxies returned as drafts too, and
+   * writes, including mutating method calls, are recorded in `scope`.
+   * @param {object} observed
+   * @param {WriteScope} scope
+   * @returns {Record<string, any>}
+   */
+  #draft(observed, scope) {
+    const cached = scope.drafts.get(observed);
+    if (cached) return /** @type {Record<string, any>} */ (cached);
+    const unwrap = (/** @type {any} */ value) =>
+      this.#drafts.get(value) ?? value;
+    /** @type {<T>(fn: () => T) => T} */
+    const record = (fn) => this.#within(scope, fn);
+    const methods =
+      Array.isArray(observed) || isCollection(this.#raws.get(observed));
+
+    /** @type {ProxyHandler<any>} */
+    const agent = {
+      get: (target, key) => {
+        const value = Reflect.get(target, key);
+        if (this.#raws.has(value)) return this.#draft(value, scope);
+        if (!methods || typeof value !== 'function') return value;
+        return (/** @type {any[]} */ ...args) => {
+          const result = record(() =>
+            Reflect.apply(value, target, args.map(unwrap))
+          );
+          return this.#raws.has(result) ? this.#draft(result, scope) : result;
+        };
+      },
+      set: (target, key, value) =>
+        record(() => Reflect.set(target, key, unwrap(value))),
+      deleteProperty: (target, key) =>
+        record(() => Reflect.deleteProperty(target, key)),
+      defineProperty: (target, key, descriptor) =>
+        record(() =>
+          Reflect.defineProperty(
+            target,
+            key,
+            'value' in descriptor
+              ? { ...descriptor, value: unwrap(descriptor.value) }
+              : descriptor
+          )
+        ),
+    };
+    const draft = new Proxy(observed, agent);
+    scope.drafts.set(observed, draft);
+    this.#drafts.set(draft, observed);
+    return draft;
+  }
+
+  /**
+   * Returns the (cached) proxy for a raw object at any depth of the state.
+   * @param {object} raw
+   * @returns {Record<string, any>}
+   */
+  #observe(raw) {
+    const cached = this.#proxies.get(raw);
+    if (cached) return cached;
+    if (isCollection(raw)) return this.#observeCollection(raw);
+
+    /** @type {ProxyHandler<Record<string|symbol, any>>} */
     const agent = {
+      get: (target, key, receiver) => {
+        if (target === this.#target) {
+          this.#tracking?.add(key);
+          if (this.#computed.has(key)) return this.#readComputed(key);
+        }
+        if (Array.isArray(target) && ARRAY_MUTATORS.has(key)) {
+          return this.#arrayMutator(target, key, receiver);
+        }
+        const value = Reflect.get(target, key, receiver);
+        const observable = isObservable(value) || isCollection(value);
+        if (!observable || Object.isFrozen(value)) return value;
+        this.#link(target, key, value);
+        return this.#observe(value);
+      },
       set: (target, key, value, receiver) => {
-        const hadChange = !Object.is(Reflect.get(this.#target, key), value);
-        const result = this.amendState(key, value);
-        hadChange && result && this.addToQueue(this.#target);
-        return result;
+        if (target === this.#target && this.#computed.has(key)) return false;
+        return this.#amend(target, key, value, true);
       },
       deleteProperty: (target, key) => {
-        const hadChange = Object.hasOwn(this.#target, key);
-        const result = this.pruneState(key);
-        hadChange && result && this.addToQueue(this.#target);
-        return result;
+        if (target === this.#target && this.#computed.has(key)) return false;
+        return this.#prune(target, key, true);
+      },
+      has: (target, key) =>
+        (target === this.#target && this.#computed.has(key)) ||
+        Reflect.has(target, key),
+      defineProperty: (target, key, descriptor) => {
+        if (target === this.#target && this.#computed.has(key)) return false;
+        return this.#define(target, key, descriptor);
       },
+      setPrototypeOf: (target, prototype) =>
+        this.#reflect(target, 'setPrototypeOf', () =>
+          Reflect.setPrototypeOf(target, prototype)
+        ),
+      preventExtensions: (target) =>
+        this.#reflect(target, 'preventExtensions', () =>
+          Reflect.preventExtensions(target)
+        ),
     };
-    this.#state = new Proxy(this.#target, agent);
+    const proxy = new Proxy(raw, agent);
+    this.#proxies.set(raw, proxy);
+    this.#raws.set(proxy, raw);
+    return proxy;
   }
 
-  get state() /** @type {object} */ {
-    return this.#state;
+  /**
+   * Returns the (cached) read-only view of `observed`, a state proxy or a
+   * raw object stored in a `Map` or `Set`.
+   * @param {object} observed
+   * @param {Array<string|symbol>} path - Keys from the state root, for errors
+   * @returns {Record<string, any>}
+   */
+  #view(observed, path) {
+    this.#viewPaths.set(observed, path);
+    const cached = this.#views.get(observed);
+    if (cached) return /** @type {Record<string, any>} */ (cached);
+    /** @type {(target: object, operation: string, key?: any) => never} */
+    const reject = (target, operation, ...key) => {
+      const at = this.#viewPaths.get(target) ?? [];
+      throw new ReadonlyStateError([...at, ...key], operation);
+    };
+    /** @type {(target: object, key: any, value: any) => any} */
+    const wrap = (target, key, value) =>
+      isCollection(value) || (isObservable(value) && !Object.isFrozen(value))
+        ? this.#view(value, [...(this.#viewPaths.get(target) ?? []), key])
+        : value;
+
+    /** @type {ProxyHandler<any>} */
+    const agent = {
+      get: (target, key, receiver) => {
+        if (Array.isArray(target) && ARRAY_MUTATORS.has(key)) {
+          return () => reject(target, String(key));
+        }
+        if (!isCollection(target)) {
+          return wrap(target, key, Reflect.get(target, key));
+        }
+        /** @type {Map<any, any>} */ const map = /** @type {any} */ (target);
+        /** @type {() => Iterable<[any, any]>} */
+        const entries = function* () {
+          for (const [entry, value] of map.entries()) {
+            yield [entry, wrap(target, entry, value)];
+          }
+        };
+        /** @type {() => Iterable<any>} */
+        const values = function* () {
+          for (const [, value] of entries()) yield value;
+        };
+        switch (key) {
+          case 'add':
+          case 'clear':
+          case 'delete':
+          case 'set':
+            return () => reject(target, key);
+          case 'get':
+            if (!(target instanceof Map)) break;
+            return (/** @type {any} */ entry) =>
+              wrap(target, entry, map.get(entry));
+          case 'forEach':
+            return (
+              /** @type {(value: any, key: any, view: any) => void} */ fn,
+              /** @type {any} */ thisArg
+            ) => {
+              for (const [entry, value] of entries()) {
+                fn.call(thisArg, value, entry, receiver);
+              }
+            };
+          case 'entries':
+            return entries;
+          case 'values':
+            return values;
+          case Symbol.iterator:
+            return target instanceof Map ? entries : values;
+        }
+        const value = Reflect.get(target, key, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+      set: (target, key) => reject(target, 'set', key),
+      deleteProperty: (target, key) => reject(target, 'delete', key),
+      defineProperty: (target, key) => reject(target, 'define', key),
+      setPrototypeOf: (target) => reject(target, 'set the prototype of'),
+      preventExtensions: (target) => reject(target, 'prevent extensions of'),
+    };
+    const view = new Proxy(observed, agent);
+    this.#views.set(observed, view);
+    return view;
   }
 
-  subscribe(/** @type {function} */ subscriber) {
-    this.#subscribers.add(subscriber);
+  /**
+   * Returns a proxy for a `Map` or `Set` whose `set`, `add`, `delete` and
+   * `clear` methods notify subscribers. Objects it returns (from `get`,
+   * `forEach` or iteration) are observed like the rest of the state; `Map`
+   * keys are returned as stored.
+   * @param {Map<any, any>|Set<any>} raw
+   * @returns {Record<string, any>}
+   */
+  #observeCollection(raw) {
+    const unwrap = (/** @type {any} */ value) => this.#raws.get(value) ?? value;
+    /** @type {ProxyHandler<Map<any, any>|Set<any>>} */
+    const agent = {
+      get: (target, key, receiver) => {
+        if (COLLECTION_MUTATORS.has(key)) {
+          return this.#collectionMutator(target, key, receiver);
+        }
+        /** @type {(entry: any, value: any) => any} */
+        const wrap = (entry, value) => {
+          const observable = isObservable(value) || isCollection(value);
+          if (!observable || Object.isFrozen(value)) return value;
+          this.#link(target, entry, value);
+          return this.#observe(value);
+        };
+        /** @type {Map<any, any>} */ const map = /** @type {any} */ (target);
+        /** @type {() => Iterable<[any, any]>} */
+        const entries = function* () {
+          for (const [entry, value] of map.entries()) {
+            const item = wrap(entry, value);
+            yield [target instanceof Map ? entry : item, item];
+          }
+        };
+        /** @type {() => Iterable<any>} */
+        const values = function* () {
+          for (const [, value] of entries()) yield value;
+        };
+        switch (key) {
+          case 'get':
+            if (!(target instanceof Map)) break;
+            return (/** @type {any} */ entry) =>
+              wrap(unwrap(entry), map.get(unwrap(entry)));
+          case 'has':
+            return (/** @type {any} */ entry) => target.has(unwrap(entry));
+          case 'forEach':
+            return (
+              /** @type {(value: any, key: any, collection: any) => void} */ fn,
+              /** @type {any} */ thisArg
+            ) => {
+              for (const [entry, value] of entries()) {
+                fn.call(thisArg, value, entry, receiver);
+              }
+            };
+          case 'entries':
+            return entries;
+          case 'values':
+            return values;
+          case 'keys':
+            if (target instanceof Map) break;
+            return values;
+          case Symbol.iterator:
+            return target instanceof Map ? entries : values;
+        }
+        const value = Reflect.get(target, key, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    };
+    const proxy = new Proxy(raw, agent);
+    this.#proxies.set(raw, proxy);
+    this.#raws.set(proxy, raw);
+    return /** @type {Record<string, any>} */ (proxy);
   }
 
-  unsubscribe(/** @type {function} */ subscriber) {
-    this.#subscribers.delete(subscriber);
+  /**
+   * Wraps a `Map` or `Set` method so the whole call is recorded as one
+   * `collection` change. Each entry it adds, replaces or removes passes
+   * through middleware on its own, with the entry's key (or the `Set` item)
+   * as `key`; a vetoed entry makes the call throw. Schemas validate the
+   * collection with the entry's change applied.
+   * @param {Map<any, any>|Set<any>} target
+   * @param {string|symbol} key
+   * @param {object} receiver
+   */
+  #collectionMutator(target, key, receiver) {
+    const path = this.#pathOf(target) ?? [];
+    /**
+     * @param {'set'|'delete'} op
+     * @param {any} entry - Map key or Set item
+     * @param {any} value
+     * @param {(value: any) => void} commit
+     */
+    const write = (op, entry, value, commit) => {
+      const had = target.has(entry);
+      const context = {
+        op,
+        key: entry,
+        path: [...path, entry],
+        value,
+        prev: !had
+          ? undefined
+          : target instanceof Map
+            ? target.get(entry)
+            : entry,
+        state: this.#state,
+        collection: receiver,
+      };
+      const written = this.#intercept(context, ({ value }) => {
+        const next = this.#raws.get(value) ?? value;
+        if (this.#schema) {
+          // Schemas see the whole collection as it would be after the write.
+          const candidate = /** @type {any} */ (copyCollection(target));
+          op === 'delete'
+            ? candidate.delete(entry)
+            : target instanceof Map
+              ? candidate.set(entry, next)
+              : candidate.add(next);
+          validateWrite(this.#schema, this.#target, {
+            op: 'set',
+            path,
+            value: candidate,
+          });
+        }
+        this.#captureStale();
+        this.#touch(target);
+        const slot =
+          target instanceof Map ? entry : (this.#raws.get(entry) ?? entry);
+        this.#scope?.undo.push(() => {
+          this.#touch(target);
+          this.#unlink(target, slot, op === 'set' ? next : undefined);
+          if (target instanceof Map) {
+            had ? target.set(entry, context.prev) : target.delete(entry);
+          } else {
+            had ? target.add(entry) : target.delete(next);
+          }
+          had && this.#link(target, slot, context.prev);
+        });
+        this.#unlink(target, slot, context.prev);
+        commit(next);
+        op === 'set' && this.#link(target, slot, next);
+        this.addToQueue(this.#target);
+        return true;
+      });
+      if (!written) {
+        throw new TypeError(
+          `Cannot ${String(key)} "${String(entry)}": the write was rejected`
+        );
+      }
+    };
+    const map = /** @type {Map<any, any>} */ (target);
+    const set = /** @type {Set<any>} */ (target);
+    /** @type {Record<string, (...args: any[]) => any>} */
+    const methods = {
+      set: (entry, value) => {
+        const unchanged =
+          map.has(entry) &&
+          Object.is(map.get(entry), this.#raws.get(value) ?? value);
+        unchanged || write('set', entry, value, (next) => map.set(entry, next));
+        return receiver;
+      },
+      add: (item) => {
+        set.has(item) || write('set', item, item, (next) => set.add(next));
+        return receiver;
+      },
+      delete: (entry) => {
+        if (!target.has(entry)) return false;
+        write('delete', entry, undefined, () => target.delete(entry));
+        return true;
+      },
+      clear: () => {
+        for (const entry of [...target.keys()]) methods.delete(entry);
+      },
+    };
+    return (/** @type {any[]} */ ...args) => {
+      // Keys and items may be the proxies handed out by reads.
+      args.length && (args[0] = this.#raws.get(args[0]) ?? args[0]);
+      if (!this.#pathOf(target)) {
+        const method = /** @type {function} */ (Reflect.get(target, key));
+        const unwrapped = args.map((arg) => this.#raws.get(arg) ?? arg);
+        const result = Reflect.apply(method, target, unwrapped);
+        return result === target ? receiver : result;
+      }
+      const prev = copyCollection(target);
+      this.#holdDepth++;
+      try {
+        return methods[/** @type {string} */ (key)](...args);
+      } finally {
+        if (!isEqual(prev, copyCollection(target))) {
+          const capture = (/** @type {any} */ value) => this.#capture(value);
+          this.#record({
+            path,
+            kind: 'collection',
+            prev: freezeCollection(
+              prev instanceof Map
+                ? new Map(
+                    [...prev].map(([entry, value]) => [entry, capture(value)])
+                  )
+                : new Set([...prev].map(capture))
+            ),
+            next: this.#share(target),
+          });
+        }
+        this.#release();
+      }
+    };
   }
 
-  unsubscribeAll() {
-    this.#subscribers.clear();
+  /**
+   * Wraps an array method so the whole call is recorded as one
+   * `array-splice` change rather than one change per index it touches, and
+   * is undone as a whole when one of its writes is rejected.
+   * @param {any[]} target
+   * @param {string|symbol} key
+   * @param {any[]} receiver
+   */
+  #arrayMutator(target, key, receiver) {
+    return (/** @type {any[]} */ ...args) => {
+      const prev = [...target];
+      this.#splicing.add(target);
+      this.#holdDepth++;
+      try {
+        // A method that is rejected halfway leaves the array as it was.
+        return this.#atomically(() =>
+          Reflect.apply(Reflect.get(Array.prototype, key), receiver, args)
+        );
+      } finally {
+        this.#splicing.delete(target);
+        const next = [...target];
+        const path = this.#pathOf(target);
+        const changed =
+          prev.length !== next.length ||
+          prev.some((item, index) => !Object.is(item, next[index]));
+        changed &&
+          path &&
+          this.#record({
+            path,
+            kind: 'array-splice',
+            prev: Object.freeze(prev.map((item) => this.#capture(item))),
+            next: this.#share(target),
+          });
+        this.#release();
+      }
+    };
   }
 
-  amendState(/** @type {string|symbol} */ key, /** @type {any} */ change) {
-    if (Object.is(Reflect.get(this.#target, key), change)) return true;
-    if (!this.#queuedUpdateNotice) {
-      this.#preBatchStaleState = { ...this.#target };
+  /**
+   * @param {object} target
+   * @param {string|symbol} key
+   * @returns {Array<string|symbol>}
+   */
+  #pathTo(target, key) {
+    return [...(this.#pathOf(target) ?? []), key];
+  }
+
+  /**
+   * Returns the keys from the state root to `raw`, following the places it
+   * was last written to or read from, or `undefined` once it has been
+   * removed from the state. Keeping parents rather than paths means an
+   * object moved by an array method (or stored under another key) reports
+   * its new position, along with everything below it.
+   * @param {object} raw
+   * @param {Set<object>} [visited] - Guards against cycles in the state
+   * @returns {Array<any>|undefined}
+   */
+  #pathOf(raw, visited = new Set()) {
+    if (raw === this.#target) return [];
+    const parents = this.#parents.get(raw);
+    if (!parents || visited.has(raw)) return undefined;
+    visited.add(raw);
+    for (const [parent, keys] of parents) {
+      const path = this.#pathOf(parent, visited);
+      if (path) return [...path, keys.values().next().value];
     }
-    return Reflect.set(this.#target, key, change);
+    return undefined;
   }
 
-  pruneState(/** @type {string|symbol} */ key) {
-    if (!Object.hasOwn(this.#target, key)) return true;
+  /**
+   * Notes that `value` sits at `key` of `parent` (when it is an object).
+   * @param {object} parent
+   * @param {any} key
+   * @param {any} value
+   */
+  #link(parent, key, value) {
+    if (!isObservable(value) && !isCollection(value)) return;
+    const parents = this.#parents.get(value) ?? new Map();
+    this.#parents.set(value, parents);
+    parents.set(parent, (parents.get(parent) ?? new Set()).add(key));
+  }
+
+  /**
+   * Notes that `value` no longer sits at `key` of `parent`.
+   * @param {object} parent
+   * @param {any} key
+   * @param {any} value
+   */
+  #unlink(parent, key, value) {
+    const parents = this.#parents.get(value);
+    const keys = parents?.get(parent);
+    if (!keys?.delete(key) || keys.size) return;
+    parents?.delete(parent);
+  }
+
+  /**
+   * Writes `value` to `key` of `target` (defining it with `descriptor` when
+   * given) and moves the parent links from the value it replaces, including
+   * array items a shorter `length` removes.
+   * @param {object} target
+   * @param {string|symbol} key
+   * @param {any} value
+   * @param {PropertyDescriptor} [descriptor]
+   * @returns {boolean}
+   */
+  #place(target, key, value, descriptor) {
+    const raw = /** @type {Record<string|symbol, any>} */ (target);
+    const prev = raw[key];
+    const removed =
+      Array.isArray(raw) && key === 'length' ? raw.slice(value) : [];
+    const result = descriptor
+      ? Reflect.defineProperty(target, key, { ...descriptor, value })
+      : Reflect.set(target, key, value);
+    if (!result) return false;
+    removed.forEach((item, index) =>
+      this.#unlink(target, String(value + index), item)
+    );
+    this.#unlink(target, key, prev);
+    this.#link(target, key, value);
+    return true;
+  }
+
+  /**
+   * @param {ChangeDescriptor} change
+   */
+  #record(change) {
+    const frozen = Object.freeze(change);
+    this.#changes.push(frozen);
+    this.#scope?.changes.add(frozen);
+    this.#invalidate(change.path[0]);
+  }
+
+  /**
+   * Lets the current scope (if any) undo the write about to be made to `key`
+   * of `target`, restoring its property and, for arrays, its length (and
+   * the items a shorter `length` removes).
+   * @param {object} target
+   * @param {string|symbol} key
+   */
+  #remember(target, key) {
+    if (!this.#scope) return;
+    const property = Reflect.getOwnPropertyDescriptor(target, key);
+    const array = Array.isArray(target);
+    const length = array ? target.length : undefined;
+    const items =
+      array && key === 'length'
+        ? Object.entries(Object.getOwnPropertyDescriptors(target))
+        : [];
+    this.#scope.undo.push(() => {
+      this.#touch(target);
+      this.#unlink(target, key, Reflect.get(target, key));
+      property
+        ? Reflect.defineProperty(target, key, property)
+        : Reflect.deleteProperty(target, key);
+      this.#link(target, key, property?.value);
+      length === undefined || Reflect.set(target, 'length', length);
+      for (const [index, item] of items) {
+        if (Object.hasOwn(target, index)) continue;
+        Reflect.defineProperty(target, index, item);
+        this.#link(target, index, item.value);
+      }
+    });
+  }
+
+  /**
+   * Runs a computed function while tracking the state keys it reads.
+   * @param {string|symbol} name
+   */
+  #evaluate(name) {
+    const entry = /** @type {ComputedEntry} */ (this.#computed.get(name));
+    const outer = this.#tracking;
+    this.#tracking = new Set();
+    try {
+      entry.value = entry.fn(this.#state);
+      // A value that failed to evaluate stays dirty, so reading it retries.
+      entry.dirty = false;
+    } finally {
+      entry.deps = this.#tracking;
+      this.#tracking = outer;
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param {string|symbol} name
+   */
+  #readComputed(name) {
+    const entry = /** @type {ComputedEntry} */ (this.#computed.get(name));
+    return entry.dirty ? this.#evaluate(name) : entry.value;
+  }
+
+  /**
+   * Marks computed values depending on `key` (directly or through other
+   * computed values) as dirty, remembering their last value for the batch.
+   * @param {string|symbol} key
+   */
+  #invalidate(key) {
+    for (const [name, entry] of this.#computed) {
+      if (entry.dirty || !entry.deps.has(key)) continue;
+      this.#staleComputed.has(name) ||
+        this.#staleComputed.set(name, entry.value);
+      entry.dirty = true;
+      this.#invalidate(name);
+    }
+  }
+
+  /**
+   * Reads every computed value for the emitted snapshots and records a
+   * `set` change for each one that differs from its pre-batch value. A
+   * computed function that throws is reported through `onError` and keeps
+   * its last value, so subscribers still hear about the batch.
+   * @param {ChangeDescriptor[]} changes
+   */
+  #settleComputed(changes) {
+    /** @type {Record<string|symbol, any>} */ const fresh = {};
+    /** @type {Record<string|symbol, any>} */ const stale = {};
+    for (const [name, entry] of this.#computed) {
+      let next = entry.value;
+      try {
+        next = this.#readComputed(name);
+      } catch (error) {
+        this.#reportError(error, { computed: name });
+      }
+      const prev = this.#staleComputed.has(name)
+        ? this.#staleComputed.get(name)
+        : next;
+      fresh[name] = next;
+      stale[name] = prev;
+      isEqual(prev, next) ||
+        changes.push(
+          Object.freeze({
+            path: [name],
+            kind: 'set',
+            prev,
+            next,
+            computed: true,
+          })
+        );
+    }
+    this.#staleComputed.clear();
+    return { fresh, stale };
+  }
+
+  /**
+   * Captures the snapshot of the state before the first write of a batch.
+   * Usually this is the `fresh` state of the previous batch, so nothing is
+   * copied.
+   */
+  #captureStale() {
     if (!this.#queuedUpdateNotice) {
-      this.#preBatchStaleState = { ...this.#target };
+      this.#preBatchStaleState = this.#publish();
+      this.#changes = [];
     }
-    return Reflect.deleteProperty(this.#target, key);
   }
 
-  addToQueue(/** @type {object} */ update) {
-    if (this.#queuedUpdateNotice) return;
-    this.#queuedUpdateNotice = true;
-    Promise.resolve().then(() => {
-      this.emitQueued(update, this.#preBatchStaleState);
-      this.#queuedUpdateNotice = false;
-      this.#preBatchStaleState = {};
+  /**
+   * Runs a write through the middleware pipeline, ending with `commit`.
+   * @param {MiddlewareContext} context
+   * @param {(context: MiddlewareContext) => boolean} commit
+   * @returns {boolean}
+   */
+  #intercept(context, commit) {
+    if (this.#frozen) {
+      throw new ReadonlyStateError(
+        context.path,
+        context.op,
+        'the service is frozen'
+      );
+    }
+    /** @type {(index: number) => boolean} */
+    const dispatch = (index) => {
+      const middleware = this.#middleware[index];
+      if (!middleware) return commit(context);
+      let called = false;
+      let result = true;
+      /** @type {() => boolean} */
+      const next = () => {
+        called = true;
+        return (result = dispatch(index + 1));
+      };
+      const outcome = middleware(context, next);
+      if (outcome === false) return false;
+      return called || outcome === true ? result : next();
+    };
+    return dispatch(0);
+  }
+
+  /**
+   * Handles `Object.defineProperty` on the state proxy according to the
+   * `traps` option. In `notify` mode, defining a value is a write of that
+   * value (applied with the descriptor's attributes); a descriptor without
+   * a value (or the current value) only changes attributes and is applied
+   * as is. Attributes missing for a new key default to `true`, as for an
+   * assignment. Accessors are rejected as their values cannot be observed,
+   * and non-writable or non-configurable properties as they could no longer
+   * be written, deleted or read through the proxy.
+   * @param {object} target
+   * @param {string|symbol} key
+   * @param {PropertyDescriptor} descriptor
+   */
+  #define(target, key, descriptor) {
+    const notify = this.#traps.defineProperty === 'notify';
+    const attributes =
+      notify && !Object.hasOwn(target, key)
+        ? {
+            writable: true,
+            enumerable: true,
+            configurable: true,
+            ...descriptor,
+          }
+        : descriptor;
+    const value = this.#raws.get(descriptor.value) ?? descriptor.value;
+    const unwrapped =
+      'value' in descriptor ? { ...attributes, value } : attributes;
+    /** @type {() => boolean} */
+    const define = () => {
+      this.#touch(target);
+      if (!('value' in unwrapped)) {
+        return Reflect.defineProperty(target, key, unwrapped);
+      }
+      return this.#place(target, key, value, unwrapped);
+    };
+    if (!notify) return this.#reflect(target, 'defineProperty', define, key);
+    const path = this.#pathTo(target, key).map(String).join('.');
+    if ('get' in descriptor || 'set' in descriptor) {
+      throw new TypeError(
+        `Cannot define accessor "${path}" on the state; use computed() for derived values`
+      );
+    }
+    if (descriptor.writable === false || descriptor.configurable === false) {
+      throw new TypeError(
+        `Cannot define "${path}" as non-writable or non-configurable; state properties must stay writable`
+      );
+    }
+    const unchanged = Object.is(Reflect.get(target, key), value);
+    if (!('value' in descriptor) || unchanged) {
+      return this.#reflect(target, 'defineProperty', define, key);
+    }
+    return this.#amend(target, key, value, true, attributes);
+  }
+
+  /**
+   * Applies an operation of a trap in `reject` or `passthrough` mode, or
+   * throws when it is rejected or the service is frozen.
+   * @param {object} target
+   * @param {'defineProperty'|'setPrototypeOf'|'preventExtensions'} trap
+   * @param {() => boolean} apply
+   * @param {...(string|symbol)} key - The defined key, for errors
+   * @returns {boolean}
+   */
+  #reflect(target, trap, apply, ...key) {
+    const path = [...(this.#pathOf(target) ?? []), ...key];
+    const operation = TRAP_OPERATIONS[trap];
+    if (this.#frozen) {
+      throw new ReadonlyStateError(path, operation, 'the service is frozen');
+    }
+    if (this.#traps[trap] === 'reject') {
+      throw new TypeError(
+        `Cannot ${operation} "${path.map(String).join('.') || '(root)'}": rejected by the traps option`
+      );
+    }
+    return apply();
+  }
+
+  /**
+   * @param {object} target
+   * @param {string|symbol} key
+   * @param {any} change
+   * @param {boolean} [notify] - Queue a notification when the write changes state
+   * @param {PropertyDescriptor} [descriptor] - Define `key` with these attributes instead of setting it
+   */
+  #amend(target, key, change, notify = false, descriptor) {
+    const prev = Reflect.get(target, key);
+    /** @type {(value: any) => boolean} */
+    const write = (value) => this.#place(target, key, value, descriptor);
+    if (Object.is(prev, this.#raws.get(change) ?? change)) return true;
+    if (!this.#pathOf(target)) return write(this.#raws.get(change) ?? change);
+    const context = {
+      op: /** @type {const} */ ('set'),
+      key,
+      path: this.#pathTo(target, key),
+      value: change,
+      prev,
+      state: this.#state,
+    };
+    return this.#intercept(context, ({ value }) => {
+      const next = this.#raws.get(value) ?? value;
+      if (Object.is(prev, next)) return descriptor ? write(prev) : true;
+      this.#schema &&
+        validateWrite(this.#schema, this.#target, {
+          op: 'set',
+          path: context.path,
+          value: next,
+        });
+      this.#captureStale();
+      this.#touch(target);
+      this.#remember(target, key);
+      // Resizing an array is recorded with its items, so the items a
+      // shorter length removes can be restored.
+      const items =
+        Array.isArray(target) && key === 'length' ? [...target] : undefined;
+      const result = write(next);
+      if (!result) return false;
+      this.#splicing.has(target) ||
+        this.#record(
+          items
+            ? {
+                path: context.path.slice(0, -1),
+                kind: 'array-splice',
+                prev: Object.freeze(items.map((item) => this.#capture(item))),
+                next: this.#share(target),
+              }
+            : {
+                path: context.path,
+                kind: 'set',
+                prev: this.#capture(prev),
+                next: this.#capture(next),
+              }
+        );
+      notify && this.addToQueue(this.#target);
+      return true;
     });
   }
 
-  emitQueued(/** @type {object} */ fresh, /** @type {object} */ stale) {
-    const frozenFresh = Object.freeze({ ...fresh });
-    const frozenStale = Object.freeze({ ...stale });
-    for (const subscriber of this.#subscribers) {
-      subscriber(frozenFresh, frozenStale);
+  /**
+   * @param {object} target
+   * @param {string|symbol} key
+   * @param {boolean} [notify] - Queue a notification when the key existed
+   */
+  #prune(target, key, notify = false) {
+    if (!Object.hasOwn(target, key)) return true;
+    const prev = Reflect.get(target, key);
+    if (!this.#pathOf(target)) {
+      const result = Reflect.deleteProperty(target, key);
+      result && this.#unlink(target, key, prev);
+      return result;
     }
+    const context = {
+      op: /** @type {const} */ ('delete'),
+      key,
+      path: this.#pathTo(target, key),
+      value: undefined,
+      prev,
+      state: this.#state,
+    };
+    return this.#intercept(context, () => {
+      if (!Object.hasOwn(target, key)) return true;
+      this.#schema &&
+        validateWrite(this.#schema, this.#target, {
+          op: 'delete',
+          path: context.path,
+          value: undefined,
+        });
+      this.#captureStale();
+      this.#touch(target);
+      this.#remember(target, key);
+      const result = Reflect.deleteProperty(target, key);
+      if (!result) return false;
+      this.#unlink(target, key, prev);
+      this.#splicing.has(target) ||
+        this.#record({
+          path: context.path,
+          kind: 'delete',
+          prev: this.#capture(prev),
+          next: undefined,
+        });
+      notify && this.addToQueue(this.#target);
+      return true;
+    });
   }
 }
 
@@ -1,6 +1,6 @@
 import { test, describe, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { ObservableService } from './main.js';
+import { ObservableService, ReadonlyStateError } from './main.js';
 
 describe('ObservableService', () => {
   test('should set initial state', () => {
@@ -98,6 +98,71 @@ describe('ObservableService', () => {
     assert.strictEqual(subscriber2.mock.calls.length, 0);
   });
 
+  test('should notify subscriber on nested object change', async () => {
+    const service = new ObservableService({ user: { name: 'John', age: 30 } });
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    service.state.user.name = 'Jane';
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+    const [newState, oldState] = subscriber.mock.calls[0].arguments;
+    assert.deepStrictEqual(newState, { user: { name: 'Jane', age: 30 } });
+    assert.deepStrictEqual(oldState, { user: { name: 'John', age: 30 } });
+  });
+
+  test('should notify subscriber on deeply nested delete', async () => {
+    const service = new ObservableService({
+      user: { preferences: { theme: 'dark', font: 'serif' } },
+    });
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    delete service.state.user.preferences.font;
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+    const [newState, oldState] = subscriber.mock.calls[0].arguments;
+    assert.deepStrictEqual(newState.user.preferences, { theme: 'dark' });
+    assert.strictEqual(oldState.user.preferences.font, 'serif');
+  });
+
+  test('should batch array mutators into one notification', async () => {
+    const service = new ObservableService({ todos: [{ id: 1 }] });
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    service.state.todos.push({ id: 2 }, { id: 3 });
+    service.state.todos.splice(0, 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+    const [newState, oldState] = subscriber.mock.calls[0].arguments;
+    assert.deepStrictEqual(newState.todos, [{ id: 2 }, { id: 3 }]);
+    assert.deepStrictEqual(oldState.todos, [{ id: 1 }]);
+  });
+
+  test('should reuse the same child proxy for the same raw object', () => {
+    const service = new ObservableService({ user: { name: 'John' } });
+    assert.strictEqual(service.state.user, service.state.user);
+  });
+
+  test('should store raw objects when assigning a child proxy', async () => {
+    const source = { a: { value: 1 }, b: null };
+    const service = new ObservableService(source);
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    service.state.b = service.state.a;
+    service.state.b.value = 2;
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.strictEqual(source.b, source.a);
+    assert.strictEqual(source.a.value, 2);
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+  });
+
   test('should provide a frozen state to subscribers to prevent mutation', async () => {
     const service = new ObservableService({ a: 1 });
     const subscriber = mock.fn();
@@ -113,4 +178,1887 @@ describe('ObservableService', () => {
       newState.a = 3;
     }, TypeError);
   });
+  describe('scoped subscriptions', () => {
+    test('should only notify a path listener when its value changes', async () => {
+      const service = new ObservableService({
+        user: { preferences: { theme: 'dark' } },
+        count: 0,
+      });
+      const listener = mock.fn();
+      service.subscribe('user.preferences.theme', listener);
+
+      service.state.count = 1;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 0);
+
+      service.state.user.preferences.theme = 'light';
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 1);
+      assert.deepStrictEqual(listener.mock.calls[0].arguments, [
+        'light',
+        'dark',
+      ]);
+    });
+
+    test('should support selector functions', async () => {
+      const service = new ObservableService({
+        todos: [{ completed: false }],
+        filter: 'all',
+      });
+      const listener = mock.fn();
+      service.subscribe(
+        (state) => state.todos.filter((todo) => !todo.completed).length,
+        listener
+      );
+
+      service.state.filter = 'done';
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 0);
+
+      service.state.todos.push({ completed: false });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.deepStrictEqual(listener.mock.calls[0].arguments, [2, 1]);
+    });
+
+    test('should not notify when selected objects are structurally equal', async () => {
+      const service = new ObservableService({ user: { name: 'John' }, a: 1 });
+      const listener = mock.fn();
+      service.subscribe('user', listener);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 0);
+    });
+
+    test('should honour a custom equals option', async () => {
+      const service = new ObservableService({ label: 'Hello' });
+      const listener = mock.fn();
+      service.subscribe(['label'], listener, {
+        equals: (prev, next) => prev.toLowerCase() === next.toLowerCase(),
+      });
+
+      service.state.label = 'HELLO';
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 0);
+
+      service.state.label = 'Goodbye';
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 1);
+    });
+
+    test('should unsubscribe scoped listeners by listener reference', async () => {
+      const service = new ObservableService({ a: 1, b: 1 });
+      const listener = mock.fn();
+      service.subscribe('a', listener);
+      service.subscribe('b', listener);
+      service.unsubscribe(listener);
+
+      service.state.a = 2;
+      service.state.b = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(listener.mock.calls.length, 0);
+    });
+  });
+  describe('change descriptors', () => {
+    test('should pass every operation of the batch to subscribers', async () => {
+      const service = new ObservableService({ a: 1, user: { name: 'John' } });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      service.state.user.name = 'Jane';
+      delete service.state.a;
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const [, , changes] = subscriber.mock.calls[0].arguments;
+      assert.ok(Object.isFrozen(changes));
+      assert.deepStrictEqual(changes, [
+        { path: ['a'], kind: 'set', prev: 1, next: 2 },
+        { path: ['user', 'name'], kind: 'set', prev: 'John', next: 'Jane' },
+        { path: ['a'], kind: 'delete', prev: 2, next: undefined },
+      ]);
+    });
+
+    test('should record array methods as a single array-splice', async () => {
+      const service = new ObservableService({ lists: { todos: ['a'] } });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.lists.todos.push('b', 'c');
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const [, , changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(changes, [
+        {
+          path: ['lists', 'todos'],
+          kind: 'array-splice',
+          prev: ['a'],
+          next: ['a', 'b', 'c'],
+        },
+      ]);
+    });
+
+    test('should not record array methods that change nothing', async () => {
+      const service = new ObservableService({ items: [1, 2, 3] });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.items.sort();
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should record the new path of items moved by array methods', () => {
+      const service = new ObservableService(
+        {
+          todos: [
+            { title: 'a' },
+            { title: 'b', tags: { x: 1 } },
+            { title: 'c' },
+          ],
+        },
+        { scheduler: 'sync' }
+      );
+      const paths = [];
+      service.subscribe((fresh, stale, changes) =>
+        paths.push(...changes.map(({ path }) => path.join('.')))
+      );
+      const b = service.state.todos[1];
+      const tags = b.tags;
+
+      service.state.todos.shift();
+      b.done = true;
+      tags.x = 2;
+      service.state.todos.sort((x, y) => (x.title < y.title ? 1 : -1));
+      b.done = false;
+      service.state.todos.splice(0, 1);
+      b.title = 'B';
+
+      assert.deepStrictEqual(paths, [
+        'todos',
+        'todos.0.done',
+        'todos.0.tags.x',
+        'todos',
+        'todos.1.done',
+        'todos',
+        'todos.0.title',
+      ]);
+      assert.deepStrictEqual(service.state.todos, [
+        { title: 'B', tags: { x: 2 }, done: false },
+      ]);
+    });
+
+    test('should not notify writes to objects removed from the state', () => {
+      const service = new ObservableService(
+        { todos: [{ title: 'a' }], user: { name: 'Ada' } },
+        { scheduler: 'sync' }
+      );
+      const subscriber = mock.fn();
+      const [todo, user] = [service.state.todos[0], service.state.user];
+      service.state.todos.pop();
+      delete service.state.user;
+      service.subscribe(subscriber);
+
+      todo.title = 'b';
+      user.name = 'Grace';
+
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+      assert.deepStrictEqual(todo, { title: 'b' });
+      service.state.todos.push(todo);
+      todo.title = 'c';
+      assert.deepStrictEqual(
+        subscriber.mock.calls[1].arguments[2].map(({ path }) => path),
+        [['todos', '0', 'title']]
+      );
+    });
+
+    test('should hold snapshots rather than the state in descriptors', () => {
+      const service = new ObservableService(
+        { user: { name: 'Ada' }, list: [{ n: 1 }], byId: new Map() },
+        { scheduler: 'sync' }
+      );
+      /** @type {any[]} */ const batches = [];
+      service.subscribe((fresh, stale, changes) =>
+        batches.push({ fresh, changes })
+      );
+
+      service.state.user = { name: 'Grace' };
+      service.state.list.push({ n: 2 });
+      service.state.byId.set('a', { n: 3 });
+
+      const [user, list, byId] = batches.map(({ changes }) => changes[0]);
+      assert.ok(Object.isFrozen(user.prev) && Object.isFrozen(user.next));
+      assert.throws(() => {
+        user.next.name = 'Lin';
+      }, TypeError);
+      assert.throws(() => {
+        list.next[1].n = 5;
+      }, TypeError);
+      assert.throws(() => {
+        byId.next.get('a').n = 5;
+      }, TypeError);
+      assert.strictEqual(user.next, batches[0].fresh.user);
+      assert.strictEqual(list.next, batches[1].fresh.list);
+      assert.deepStrictEqual(list.prev, [{ n: 1 }]);
+      assert.deepStrictEqual(service.state.user, { name: 'Grace' });
+      assert.deepStrictEqual(service.state.list[1], { n: 2 });
+    });
+
+    test('should start each batch with a fresh list of changes', async () => {
+      const service = new ObservableService({ a: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      service.state.a = 3;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const [, , changes] = subscriber.mock.calls[1].arguments;
+      assert.deepStrictEqual(changes, [
+        { path: ['a'], kind: 'set', prev: 2, next: 3 },
+      ]);
+    });
+  });
+  describe('computed properties', () => {
+    test('should expose a derived value on state', () => {
+      const service = new ObservableService({
+        todos: [{ completed: false }, { completed: true }],
+      });
+      service.computed(
+        'remaining',
+        (state) => state.todos.filter((todo) => !todo.completed).length
+      );
+      assert.strictEqual(service.state.remaining, 1);
+      assert.ok('remaining' in service.state);
+    });
+
+    test('should not register a computed property that throws at once', () => {
+      const service = new ObservableService({ count: 1 });
+
+      assert.throws(
+        () =>
+          service.computed('double', () => {
+            throw new Error('boom');
+          }),
+        /boom/
+      );
+      assert.strictEqual('double' in service.state, false);
+      service.computed('double', (state) => state.count * 2);
+      assert.strictEqual(service.state.double, 2);
+    });
+
+    test('should report a computed property throwing during emission', async () => {
+      const service = new ObservableService({ count: 1 });
+      service.computed('inverse', (state) => {
+        if (state.count === 0) throw new Error('boom');
+        return 1 / state.count;
+      });
+      const onError = mock.fn();
+      service.onError(onError);
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.count = 0;
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(fresh.count, 0);
+      assert.strictEqual(fresh.inverse, 1);
+      assert.strictEqual(onError.mock.calls.length, 1);
+      const [error, details] = onError.mock.calls[0].arguments;
+      assert.strictEqual(error.message, 'boom');
+      assert.deepStrictEqual(details, { computed: 'inverse' });
+
+      service.state.count = 4;
+      assert.strictEqual(service.state.inverse, 0.25);
+    });
+
+    test('should only recompute when a dependency changes', async () => {
+      const service = new ObservableService({ a: 1, b: 1, other: 0 });
+      const fn = mock.fn((state) => state.a + state.b);
+      service.computed('sum', fn);
+
+      service.state.other = 1;
+      assert.strictEqual(service.state.sum, 2);
+      assert.strictEqual(fn.mock.calls.length, 1);
+
+      service.state.a = 5;
+      assert.strictEqual(service.state.sum, 6);
+      assert.strictEqual(service.state.sum, 6);
+      assert.strictEqual(fn.mock.calls.length, 2);
+    });
+
+    test('should notify subscribers when the derived value changes', async () => {
+      const service = new ObservableService({ todos: ['a'], other: 0 });
+      service.computed('count', (state) => state.todos.length);
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.todos.push('b');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(fresh.count, 2);
+      assert.strictEqual(stale.count, 1);
+      assert.deepStrictEqual(changes[changes.length - 1], {
+        path: ['count'],
+        kind: 'set',
+        prev: 1,
+        next: 2,
+        computed: true,
+      });
+
+      service.state.other = 1;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const [, , unrelated] = subscriber.mock.calls[1].arguments;
+      assert.strictEqual(unrelated.length, 1);
+    });
+
+    test('should track computed values that depend on other computed values', async () => {
+      const service = new ObservableService({ price: 2, quantity: 3 });
+      service.computed('total', (state) => state.price * state.quantity);
+      service.computed('label', (state) => `Total: ${state.total}`);
+      const listener = mock.fn();
+      service.subscribe('label', listener);
+
+      service.state.quantity = 4;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      assert.deepStrictEqual(listener.mock.calls[0].arguments, [
+        'Total: 8',
+        'Total: 6',
+      ]);
+    });
+
+    test('should reject writes and deletes of computed properties', () => {
+      const service = new ObservableService({ a: 1 });
+      service.computed('double', (state) => state.a * 2);
+
+      assert.throws(() => {
+        service.state.double = 3;
+      }, TypeError);
+      assert.throws(() => {
+        delete service.state.double;
+      }, TypeError);
+      assert.strictEqual(service.amendState('double', 3), false);
+      assert.strictEqual(service.pruneState('double'), false);
+      assert.strictEqual(service.state.double, 2);
+    });
+
+    test('should refuse to shadow an existing key', () => {
+      const service = new ObservableService({ a: 1 });
+      assert.throws(() => service.computed('a', () => 2), TypeError);
+    });
+  });
+  describe('transactions', () => {
+    test('should emit one notification for changes across awaits', async () => {
+      const service = new ObservableService({ a: 1, b: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      const result = await service.transaction(async (draft) => {
+        draft.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(subscriber.mock.calls.length, 0);
+        draft.b = 2;
+        return 'committed';
+      });
+
+      assert.strictEqual(result, 'committed');
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh, { a: 2, b: 2 });
+      assert.deepStrictEqual(stale, { a: 1, b: 1 });
+      assert.strictEqual(changes.length, 2);
+    });
+
+    test('should roll back without notifying when the callback rejects', async () => {
+      const service = new ObservableService({ a: 1, user: { name: 'John' } });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      await assert.rejects(
+        service.transaction(async (draft) => {
+          draft.a = 2;
+          draft.added = true;
+          draft.user.name = 'Jane';
+          await new Promise((resolve) => setTimeout(resolve, 0));
+          throw new Error('abort');
+        }),
+        /abort/
+      );
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      assert.deepStrictEqual(service.state, { a: 1, user: { name: 'John' } });
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+
+      service.state.a = 3;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const [, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(stale, { a: 1, user: { name: 'John' } });
+      assert.strictEqual(changes.length, 1);
+    });
+
+    test('should roll back when the callback throws synchronously', async () => {
+      const service = new ObservableService({ a: 1 });
+      await assert.rejects(
+        service.transaction((draft) => {
+          draft.a = 2;
+          throw new Error('sync');
+        }),
+        /sync/
+      );
+      assert.strictEqual(service.state.a, 1);
+    });
+
+    test('should keep a batch pending before the transaction', async () => {
+      const service = new ObservableService({ a: 1, b: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      await assert.rejects(
+        service.transaction((draft) => {
+          draft.b = 2;
+          throw new Error('abort');
+        })
+      );
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, , changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh, { a: 2, b: 1 });
+      assert.deepStrictEqual(
+        changes.map(({ path }) => path),
+        [['a']]
+      );
+    });
+
+    test('should only emit when the outermost transaction commits', async () => {
+      const service = new ObservableService({ a: 1, b: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      await service.transaction(async (draft) => {
+        draft.a = 2;
+        await service.transaction(async (inner) => {
+          inner.b = 2;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(subscriber.mock.calls.length, 0);
+      });
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+
+    test('should restore computed values on rollback', async () => {
+      const service = new ObservableService({ a: 1 });
+      service.computed('double', (state) => state.a * 2);
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      await assert.rejects(
+        service.transaction((draft) => {
+          draft.a = 5;
+          throw new Error('abort');
+        })
+      );
+      assert.strictEqual(service.state.double, 2);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const [fresh, stale] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(fresh.double, 4);
+      assert.strictEqual(stale.double, 2);
+    });
+
+    test('should hold but keep writes made outside the transaction', async () => {
+      const service = new ObservableService({ a: 0, b: 0 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      const transaction = service.transaction(async (draft) => {
+        draft.a = 1;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        throw new Error('abort');
+      });
+      service.state.b = 5;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+      await assert.rejects(transaction, /abort/);
+
+      assert.deepStrictEqual(service.state, { a: 0, b: 5 });
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh, { a: 0, b: 5 });
+      assert.deepStrictEqual(stale, { a: 0, b: 0 });
+      assert.deepStrictEqual(
+        changes.map(({ path }) => path),
+        [['b']]
+      );
+    });
+
+    test('should run synchronous batches atomically', () => {
+      const service = new ObservableService({ a: 1, list: [1] });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      assert.strictEqual(
+        service.batch(() => {
+          service.state.a = 2;
+          service.state.list.push(2);
+          return 'done';
+        }),
+        'done'
+      );
+      service.flush();
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      assert.strictEqual(subscriber.mock.calls[0].arguments[2].length, 2);
+
+      assert.throws(
+        () =>
+          service.batch(() => {
+            service.state.a = 3;
+            service.state.list.pop();
+            throw new Error('abort');
+          }),
+        /abort/
+      );
+      service.flush();
+      assert.deepStrictEqual(service.state, { a: 2, list: [1, 2] });
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+
+    test('should undo array and collection methods in place', async () => {
+      const service = new ObservableService({
+        user: { name: 'Ada' },
+        todos: ['a', 'b', 'c'],
+        tags: new Map([['x', 1]]),
+      });
+      const user = service.state.user;
+      const todos = service.state.todos;
+
+      await assert.rejects(
+        service.transaction((draft) => {
+          draft.user.name = 'Grace';
+          draft.todos.shift();
+          draft.todos.push('d', 'e');
+          draft.todos.sort().reverse();
+          draft.tags.set('x', 2).set('y', 3);
+          draft.todos.length = 1;
+          throw new Error('abort');
+        })
+      );
+
+      assert.strictEqual(service.state.user, user);
+      assert.deepStrictEqual(service.state.todos, ['a', 'b', 'c']);
+      assert.deepStrictEqual([...service.state.tags], [['x', 1]]);
+
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+      user.name = 'Grace';
+      todos.push('d');
+      service.flush();
+      const [fresh] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh.user, { name: 'Grace' });
+      assert.deepStrictEqual(fresh.todos, ['a', 'b', 'c', 'd']);
+    });
+  });
+  describe('middleware', () => {
+    test('should see every write with its context', () => {
+      const service = new ObservableService({ user: { name: 'John' } });
+      const contexts = [];
+      service.use((context) => {
+        contexts.push({ ...context });
+      });
+
+      service.state.user.name = 'Jane';
+      delete service.state.user.name;
+      service.amendState('count', 1);
+
+      assert.deepStrictEqual(
+        contexts.map(({ op, key, path, value, prev }) => ({
+          op,
+          key,
+          path,
+          value,
+          prev,
+        })),
+        [
+          {
+            op: 'set',
+            key: 'name',
+            path: ['user', 'name'],
+            value: 'Jane',
+            prev: 'John',
+          },
+          {
+            op: 'delete',
+            key: 'name',
+            path: ['user', 'name'],
+            value: undefined,
+            prev: 'Jane',
+          },
+          {
+            op: 'set',
+            key: 'count',
+            path: ['count'],
+            value: 1,
+            prev: undefined,
+          },
+        ]
+      );
+      assert.strictEqual(contexts[0].state, service.state);
+    });
+
+    test('should let middleware transform the value', async () => {
+      const service = new ObservableService({ email: '' });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+      service.use((context) => {
+        context.value = context.value.trim().toLowerCase();
+      });
+
+      service.state.email = '  Jane@Example.com ';
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      assert.strictEqual(service.state.email, 'jane@example.com');
+      const [, , changes] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(changes[0].next, 'jane@example.com');
+    });
+
+    test('should let middleware veto a write', async () => {
+      const service = new ObservableService({ role: 'user' });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+      service.use(({ key }) => key !== 'role');
+
+      assert.throws(() => {
+        service.state.role = 'admin';
+      }, TypeError);
+      assert.throws(() => {
+        delete service.state.role;
+      }, TypeError);
+      assert.strictEqual(service.amendState('role', 'admin'), false);
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(service.state.role, 'user');
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should run middleware in order around next()', () => {
+      const service = new ObservableService({ a: 1 });
+      const calls = [];
+      service.use((context, next) => {
+        calls.push('outer:before');
+        const result = next();
+        calls.push(`outer:after:${service.state.a}`);
+        return result;
+      });
+      service.use((context, next) => {
+        calls.push('inner');
+        return next();
+      });
+
+      service.state.a = 2;
+      assert.deepStrictEqual(calls, ['outer:before', 'inner', 'outer:after:2']);
+    });
+
+    test('should skip the write when middleware returns true without next()', async () => {
+      const service = new ObservableService({ a: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+      service.use(() => true);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(service.state.a, 1);
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should remove middleware with the returned function', () => {
+      const service = new ObservableService({ a: 1 });
+      const remove = service.use(() => false);
+      remove();
+      remove();
+      service.state.a = 2;
+      assert.strictEqual(service.state.a, 2);
+    });
+  });
+  describe('subscriber errors', () => {
+    test('should keep notifying after a subscriber throws', async () => {
+      const service = new ObservableService({ a: 1 });
+      const failure = new Error('boom');
+      const failing = () => {
+        throw failure;
+      };
+      const after = mock.fn();
+      const handler = mock.fn();
+      service.subscribe(failing);
+      service.subscribe(after);
+      service.onError(handler);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      assert.strictEqual(after.mock.calls.length, 1);
+      assert.strictEqual(handler.mock.calls.length, 1);
+      const [error, { subscriber, batch }] = handler.mock.calls[0].arguments;
+      assert.strictEqual(error, failure);
+      assert.strictEqual(subscriber, failing);
+      assert.deepStrictEqual(batch.fresh, { a: 2 });
+      assert.deepStrictEqual(batch.stale, { a: 1 });
+      assert.strictEqual(batch.changes.length, 1);
+    });
+
+    test('should fall back to reportError or console.error', async (t) => {
+      const service = new ObservableService({ a: 1 });
+      const failure = new Error('unhandled');
+      service.subscribe(() => {
+        throw failure;
+      });
+      const original = globalThis.reportError;
+      const consoleError = t.mock.method(console, 'error', () => {});
+      try {
+        globalThis.reportError = mock.fn();
+        service.state.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.deepStrictEqual(globalThis.reportError.mock.calls[0].arguments, [
+          failure,
+        ]);
+
+        delete globalThis.reportError;
+        service.state.a = 3;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.deepStrictEqual(consoleError.mock.calls[0].arguments, [failure]);
+      } finally {
+        if (original) globalThis.reportError = original;
+        else delete globalThis.reportError;
+      }
+    });
+
+    test('should report errors thrown by handlers and remove handlers', async (t) => {
+      const service = new ObservableService({ a: 1 });
+      const handlerFailure = new Error('handler');
+      service.subscribe(() => {
+        throw new Error('subscriber');
+      });
+      const remove = service.onError(() => {
+        throw handlerFailure;
+      });
+      const consoleError = t.mock.method(console, 'error', () => {});
+      const original = globalThis.reportError;
+      delete globalThis.reportError;
+      try {
+        service.state.a = 2;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.deepStrictEqual(consoleError.mock.calls[0].arguments, [
+          handlerFailure,
+        ]);
+
+        remove();
+        service.state.a = 3;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        assert.strictEqual(
+          consoleError.mock.calls[1].arguments[0].message,
+          'subscriber'
+        );
+      } finally {
+        if (original) globalThis.reportError = original;
+      }
+    });
+  });
+  describe('schedulers', () => {
+    test('should notify synchronously with the sync scheduler', () => {
+      const service = new ObservableService(
+        { a: 1, items: [] },
+        { scheduler: 'sync' }
+      );
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+
+      service.state.items.push(1, 2);
+      assert.strictEqual(subscriber.mock.calls.length, 2);
+      const [fresh, , changes] = subscriber.mock.calls[1].arguments;
+      assert.deepStrictEqual(fresh.items, [1, 2]);
+      assert.deepStrictEqual(
+        changes.map(({ kind }) => kind),
+        ['array-splice']
+      );
+    });
+
+    test('should hand the flush function to a custom scheduler', () => {
+      const pending = [];
+      const service = new ObservableService(
+        { a: 1 },
+        { scheduler: (flush) => pending.push(flush) }
+      );
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      service.state.a = 3;
+      assert.strictEqual(pending.length, 1);
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+
+      pending[0]();
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      assert.deepStrictEqual(subscriber.mock.calls[0].arguments[0], { a: 3 });
+    });
+
+    test('should wait for the given delay with timeout schedulers', async () => {
+      const service = new ObservableService(
+        { a: 1 },
+        { scheduler: 'timeout:20' }
+      );
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+
+    test('should use animation frames and idle callbacks when available', async () => {
+      const frames = [];
+      const idles = [];
+      globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+      globalThis.requestIdleCallback = (callback) => idles.push(callback);
+      try {
+        const animated = new ObservableService({ a: 1 }, { scheduler: 'raf' });
+        const idle = new ObservableService({ a: 1 }, { scheduler: 'idle' });
+        const subscriber = mock.fn();
+        animated.subscribe(subscriber);
+        idle.subscribe(subscriber);
+
+        animated.state.a = 2;
+        idle.state.a = 2;
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(idles.length, 1);
+
+        frames[0](16);
+        idles[0]({ timeRemaining: () => 10 });
+        assert.strictEqual(subscriber.mock.calls.length, 2);
+      } finally {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.requestIdleCallback;
+      }
+    });
+
+    test('should fall back to timers for raf and idle outside browsers', async () => {
+      const animated = new ObservableService({ a: 1 }, { scheduler: 'raf' });
+      const idle = new ObservableService({ a: 1 }, { scheduler: 'idle' });
+      const subscriber = mock.fn();
+      animated.subscribe(subscriber);
+      idle.subscribe(subscriber);
+
+      animated.state.a = 2;
+      idle.state.a = 2;
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      assert.strictEqual(subscriber.mock.calls.length, 2);
+    });
+
+    test('should reject unknown schedulers', () => {
+      assert.throws(
+        () => new ObservableService({}, { scheduler: 'later' }),
+        /Unknown scheduler "later"/
+      );
+      assert.throws(
+        () => new ObservableService({}, { scheduler: 'timeout:soon' }),
+        TypeError
+      );
+    });
+
+    test('should emit a pending batch immediately on flush', async () => {
+      const service = new ObservableService({ a: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.flush();
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+
+      service.state.a = 2;
+      service.flush();
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+
+    test('should hold flushed batches until a transaction commits', async () => {
+      const service = new ObservableService({ a: 1 });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      await service.transaction((draft) => {
+        draft.a = 2;
+        service.flush();
+        assert.strictEqual(subscriber.mock.calls.length, 0);
+      });
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+  });
+
+  describe('async helpers', () => {
+    test('should iterate emitted batches until return is called', async () => {
+      const service = new ObservableService({ count: 0 });
+      const iterator = service.changes();
+
+      service.state.count = 1;
+      const first = await iterator.next();
+      assert.deepStrictEqual(first.value, {
+        fresh: { count: 1 },
+        stale: { count: 0 },
+      });
+
+      const pending = iterator.next();
+      service.state.count = 2;
+      assert.strictEqual((await pending).value?.fresh.count, 2);
+
+      const waiting = iterator.next();
+      assert.deepStrictEqual(await iterator.return?.(), {
+        value: undefined,
+        done: true,
+      });
+      assert.strictEqual((await waiting).done, true);
+
+      service.state.count = 3;
+      await Promise.resolve();
+      assert.strictEqual((await iterator.next()).done, true);
+    });
+
+    test('should unsubscribe when a for-await loop exits', async () => {
+      const service = new ObservableService({ count: 0 });
+      const disposed = mock.fn();
+      const subscribe = service.subscribe.bind(service);
+      service.subscribe = (...args) => {
+        const dispose = subscribe(...args);
+        return () => (disposed(), dispose());
+      };
+
+      setTimeout(() => (service.state.count = 1), 0);
+      for await (const { fresh } of service.changes()) {
+        assert.strictEqual(fresh.count, 1);
+        break;
+      }
+      assert.strictEqual(disposed.mock.calls.length, 1);
+    });
+
+    test('should merge the oldest buffered batches beyond bufferSize', async () => {
+      const service = new ObservableService(
+        { count: 0 },
+        { scheduler: 'sync' }
+      );
+      const iterator = service.changes({ bufferSize: 2 });
+
+      service.state.count = 1;
+      service.state.count = 2;
+      service.state.count = 3;
+
+      const first = await iterator.next();
+      assert.deepStrictEqual(first.value, {
+        fresh: { count: 2 },
+        stale: { count: 0 },
+      });
+      const second = await iterator.next();
+      assert.deepStrictEqual(second.value, {
+        fresh: { count: 3 },
+        stale: { count: 2 },
+      });
+      await iterator.return?.();
+    });
+
+    test('should resolve when the predicate is first satisfied', async () => {
+      const service = new ObservableService({ loading: true });
+      const ready = service.when((state) => !state.loading);
+
+      service.state.loading = false;
+      const state = await ready;
+      assert.strictEqual(state.loading, false);
+      assert.ok(Object.isFrozen(state));
+    });
+
+    test('should resolve immediately when the state already matches', async () => {
+      const service = new ObservableService({ count: 2 });
+      service.computed('double', (state) => state.count * 2);
+
+      const state = await service.when((state) => state.double === 4);
+      assert.deepStrictEqual(state, { count: 2, double: 4 });
+    });
+
+    test('should reject on abort, timeout and predicate errors', async () => {
+      const service = new ObservableService({ count: 0 });
+      const controller = new AbortController();
+      const aborted = service.when(() => false, { signal: controller.signal });
+      controller.abort(new Error('cancelled'));
+      await assert.rejects(aborted, { message: 'cancelled' });
+
+      await assert.rejects(
+        service.when(() => false, { signal: AbortSignal.abort() }),
+        { name: 'AbortError' }
+      );
+      await assert.rejects(
+        service.when(() => false, { timeout: 5 }),
+        {
+          name: 'TimeoutError',
+        }
+      );
+
+      const failing = service.when((state) => {
+        if (state.count) throw new Error('boom');
+      });
+      service.state.count = 1;
+      await assert.rejects(failing, { message: 'boom' });
+    });
+
+    test('should unsubscribe once settled', async () => {
+      const service = new ObservableService({ count: 0 });
+      const predicate = mock.fn((state) => state.count === 1);
+      const settled = service.when(predicate);
+
+      service.state.count = 1;
+      await settled;
+      service.state.count = 2;
+      await Promise.resolve();
+      assert.strictEqual(predicate.mock.calls.length, 2);
+    });
+  });
+
+  describe('subscription options', () => {
+    test('should return a disposer that also implements Symbol.dispose', async () => {
+      const service = new ObservableService({ count: 0 });
+      const subscriber = mock.fn();
+      const dispose = service.subscribe(subscriber);
+      assert.strictEqual(dispose[Symbol.dispose], dispose);
+
+      service.state.count = 1;
+      await Promise.resolve();
+      dispose();
+      service.state.count = 2;
+      await Promise.resolve();
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+    });
+
+    test('should register the same function more than once', async () => {
+      const service = new ObservableService({ count: 0 });
+      const subscriber = mock.fn();
+      const first = service.subscribe(subscriber);
+      service.subscribe(subscriber);
+
+      service.state.count = 1;
+      await Promise.resolve();
+      assert.strictEqual(subscriber.mock.calls.length, 2);
+
+      first();
+      service.state.count = 2;
+      await Promise.resolve();
+      assert.strictEqual(subscriber.mock.calls.length, 3);
+
+      service.unsubscribe(subscriber);
+      service.state.count = 3;
+      await Promise.resolve();
+      assert.strictEqual(subscriber.mock.calls.length, 3);
+    });
+
+    test('should remove once subscribers after their first call', async () => {
+      const service = new ObservableService({ a: 0, b: 0 });
+      const subscriber = mock.fn();
+      const listener = mock.fn();
+      service.subscribe(subscriber, { once: true });
+      service.subscribe('b', listener, { once: true });
+
+      service.state.a = 1;
+      await Promise.resolve();
+      service.state.b = 1;
+      await Promise.resolve();
+      service.state.b = 2;
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      assert.deepStrictEqual(
+        listener.mock.calls.map((call) => call.arguments),
+        [[1, 0]]
+      );
+    });
+
+    test('should call immediate subscribers with the current state', () => {
+      const service = new ObservableService({ user: { name: 'Ada' } });
+      const subscriber = mock.fn();
+      const listener = mock.fn();
+      service.subscribe(subscriber, { immediate: true });
+      service.subscribe('user.name', listener, { immediate: true });
+
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh, { user: { name: 'Ada' } });
+      assert.strictEqual(stale, fresh);
+      assert.deepStrictEqual(changes, []);
+      assert.deepStrictEqual(listener.mock.calls[0].arguments, [
+        'Ada',
+        undefined,
+      ]);
+    });
+
+    test('should remove subscriptions when their signal aborts', async () => {
+      const service = new ObservableService({ count: 0 });
+      const controller = new AbortController();
+      const subscriber = mock.fn();
+      const skipped = mock.fn();
+      service.subscribe(subscriber, { signal: controller.signal });
+      service.subscribe(skipped, {
+        signal: AbortSignal.abort(),
+        immediate: true,
+      });
+
+      service.state.count = 1;
+      await Promise.resolve();
+      controller.abort();
+      service.state.count = 2;
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      assert.strictEqual(skipped.mock.calls.length, 0);
+    });
+
+    test('should notify higher priorities first', async () => {
+      const service = new ObservableService({ count: 0 });
+      /** @type {string[]} */ const order = [];
+      service.subscribe(() => order.push('default'));
+      service.subscribe(() => order.push('low'), { priority: -1 });
+      service.subscribe(() => order.push('high'), { priority: 10 });
+      service.subscribe(() => order.push('default 2'));
+
+      service.state.count = 1;
+      await Promise.resolve();
+      assert.deepStrictEqual(order, ['high', 'default', 'default 2', 'low']);
+    });
+
+    test('should skip subscribers removed while a batch is emitted', async () => {
+      const service = new ObservableService({ count: 0 });
+      const second = mock.fn();
+      /** @type {() => void} */ let dispose = () => {};
+      service.subscribe(() => dispose());
+      dispose = service.subscribe(second);
+
+      service.state.count = 1;
+      await Promise.resolve();
+      assert.strictEqual(second.mock.calls.length, 0);
+    });
+  });
+
+  describe('snapshots', () => {
+    test('should return a deep frozen, cloneable copy of the state', () => {
+      const created = new Date('2024-01-01T00:00:00Z');
+      const service = new ObservableService({
+        user: { name: 'Ada', tags: ['a'] },
+        created,
+        ids: new Set([1]),
+      });
+      service.computed('name', (state) => state.user.name);
+      const snapshot = service.snapshot();
+
+      assert.ok(Object.isFrozen(snapshot));
+      assert.ok(Object.isFrozen(snapshot.user.tags));
+      assert.ok(!('name' in snapshot));
+      assert.notStrictEqual(snapshot.created, created);
+      assert.deepStrictEqual(structuredClone(snapshot), snapshot);
+
+      service.state.user.tags.push('b');
+      assert.deepStrictEqual(snapshot.user.tags, ['a']);
+    });
+
+    test('should restore a snapshot as one diff-accurate batch', async () => {
+      const service = new ObservableService({
+        user: { name: 'Ada', theme: 'dark' },
+        todos: ['a'],
+        count: 1,
+      });
+      const snapshot = service.snapshot();
+      service.state.user.name = 'Grace';
+      service.state.todos.push('b');
+      service.state.extra = true;
+      await Promise.resolve();
+
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+      service.restore(snapshot);
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, , changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(fresh)), {
+        user: { name: 'Ada', theme: 'dark' },
+        todos: ['a'],
+        count: 1,
+      });
+      assert.deepStrictEqual(
+        changes.map(({ path, kind }) => [path.join('.'), kind]),
+        [
+          ['extra', 'delete'],
+          ['user.name', 'set'],
+          ['todos', 'set'],
+        ]
+      );
+
+      service.state.user.name = 'Linus';
+      assert.strictEqual(snapshot.user.name, 'Ada');
+    });
+
+    test('should not notify when the snapshot matches the state', async () => {
+      const service = new ObservableService({ a: { b: [1] } });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.restore(service.snapshot());
+      await Promise.resolve();
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should leave the state unchanged when a write is rejected', () => {
+      const service = new ObservableService(
+        { count: 1, name: 'a' },
+        { schema: { properties: { count: { type: 'number' } } } }
+      );
+      assert.throws(() => service.restore({ name: 'b', count: 'x' }), {
+        name: 'StateValidationError',
+      });
+      assert.deepStrictEqual({ ...service.state }, { count: 1, name: 'a' });
+      assert.throws(() => service.restore([]), TypeError);
+    });
+  });
+
+  describe('Map and Set observation', () => {
+    test('should notify once per tick for collection methods', async () => {
+      const service = new ObservableService({
+        byId: new Map([[1, 'a']]),
+        selected: new Set(),
+      });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.byId.set(2, 'b').set(3, 'c');
+      service.state.byId.delete(1);
+      service.state.selected.add(2);
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(stale.byId, new Map([[1, 'a']]));
+      assert.deepStrictEqual(stale.selected, new Set());
+      assert.deepStrictEqual(
+        fresh.byId,
+        new Map([
+          [2, 'b'],
+          [3, 'c'],
+        ])
+      );
+      assert.deepStrictEqual(fresh.selected, new Set([2]));
+      assert.deepStrictEqual(
+        changes.map(({ path, kind }) => [path.join('.'), kind]),
+        [
+          ['byId', 'collection'],
+          ['byId', 'collection'],
+          ['byId', 'collection'],
+          ['selected', 'collection'],
+        ]
+      );
+      assert.deepStrictEqual(changes[3].prev, new Set());
+      assert.deepStrictEqual(changes[3].next, new Set([2]));
+    });
+
+    test('should record clear as one change', async () => {
+      const service = new ObservableService({ tags: new Set(['a', 'b']) });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.tags.clear();
+      await Promise.resolve();
+
+      const [, , changes] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(changes.length, 1);
+      assert.deepStrictEqual(changes[0].prev, new Set(['a', 'b']));
+      assert.deepStrictEqual(changes[0].next, new Set());
+    });
+
+    test('should ignore calls that change nothing', async () => {
+      const service = new ObservableService({
+        byId: new Map([[1, 'a']]),
+        tags: new Set(['a']),
+      });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.byId.set(1, 'a');
+      assert.strictEqual(service.state.byId.delete(2), false);
+      service.state.tags.add('a');
+      new ObservableService({ empty: new Set() }).state.empty.clear();
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should read collections like the raw ones', () => {
+      const service = new ObservableService({
+        byId: new Map([[1, { name: 'a' }]]),
+      });
+      const { byId } = service.state;
+
+      assert.ok(byId instanceof Map);
+      assert.strictEqual(byId.size, 1);
+      assert.strictEqual(byId.get(1).name, 'a');
+      assert.ok(byId.has(1));
+      assert.deepStrictEqual([...byId.keys()], [1]);
+      assert.deepStrictEqual(
+        [...byId].map(([id]) => id),
+        [1]
+      );
+      assert.strictEqual(service.state.byId, byId);
+    });
+
+    test('should pass collection writes through middleware', () => {
+      const service = new ObservableService({ tags: new Set() });
+      const contexts = [];
+      service.use((context) => {
+        contexts.push(context);
+        if (context.key === 'blocked') return false;
+      });
+
+      service.state.tags.add('ok');
+      assert.throws(() => service.state.tags.add('blocked'), TypeError);
+
+      assert.deepStrictEqual([...service.state.tags], ['ok']);
+      assert.strictEqual(contexts[0].op, 'set');
+      assert.deepStrictEqual(contexts[0].path, ['tags', 'ok']);
+      assert.strictEqual(contexts[0].collection, service.state.tags);
+    });
+
+    test('should hand out read-only collections in snapshots', async () => {
+      const service = new ObservableService({ byId: new Map([[1, 'a']]) });
+      const onError = mock.fn();
+      service.onError(onError);
+      const seen = [];
+      service.subscribe((fresh) => fresh.byId.set('junk', 1));
+      service.subscribe((fresh, stale) => seen.push([fresh.byId, stale.byId]));
+
+      service.state.byId.set(2, 'b');
+      await Promise.resolve();
+      service.state.other = true;
+      await Promise.resolve();
+
+      assert.strictEqual(onError.mock.calls.length, 2);
+      assert.ok(onError.mock.calls[0].arguments[0] instanceof TypeError);
+      for (const collection of seen.flat()) {
+        assert.strictEqual(collection.has('junk'), false);
+      }
+      assert.throws(() => service.snapshot().byId.clear(), TypeError);
+      assert.deepStrictEqual(structuredClone(seen[0][0]), seen[0][0]);
+    });
+
+    test('should observe objects read from a collection', async () => {
+      const service = new ObservableService({
+        byId: new Map([[1, { done: false }]]),
+        selected: new Set([{ on: false }]),
+      });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.state.byId.get(1).done = true;
+      for (const item of service.state.selected) item.on = true;
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, , changes] = subscriber.mock.calls[0].arguments;
+      assert.strictEqual(fresh.byId.get(1).done, true);
+      assert.strictEqual([...fresh.selected][0].on, true);
+      assert.deepStrictEqual(changes[0].path, ['byId', 1, 'done']);
+      assert.strictEqual(service.snapshot().byId.get(1).done, true);
+
+      const [item] = service.state.selected;
+      assert.ok(service.state.selected.has(item));
+      assert.strictEqual(service.state.selected.delete(item), true);
+      assert.strictEqual(service.state.selected.size, 0);
+    });
+
+    test('should recompute computed properties depending on a collection', async () => {
+      const service = new ObservableService({ selected: new Set() });
+      service.computed('count', (state) => state.selected.size);
+
+      service.state.selected.add(1);
+      assert.strictEqual(service.state.count, 1);
+    });
+  });
+
+  describe('structural sharing', () => {
+    test('should only copy the objects on written paths', () => {
+      const service = new ObservableService({
+        user: { name: 'Ada', address: { city: 'London' } },
+        todos: [{ title: 'a' }, { title: 'b' }],
+      });
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      service.state.user.name = 'Grace';
+      service.flush();
+      service.state.todos[1].title = 'c';
+      service.flush();
+
+      const [first, second] = listener.mock.calls.map((call) => call.arguments);
+      const [fresh, stale] = first;
+      assert.notStrictEqual(fresh.user, stale.user);
+      assert.strictEqual(fresh.user.address, stale.user.address);
+      assert.strictEqual(fresh.todos, stale.todos);
+      assert.strictEqual(second[1], fresh);
+      assert.strictEqual(second[0].user, fresh.user);
+      assert.notStrictEqual(second[0].todos, fresh.todos);
+      assert.strictEqual(second[0].todos[0], fresh.todos[0]);
+      assert.deepStrictEqual(second[0].todos, [{ title: 'a' }, { title: 'c' }]);
+    });
+
+    test('should emit deep frozen snapshots unaffected by later writes', () => {
+      const service = new ObservableService({
+        user: { tags: ['a'] },
+        lookup: new Map([['a', { count: 1 }]]),
+      });
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      service.state.user.tags.push('b');
+      service.state.lookup.set('b', { count: 2 });
+      service.flush();
+      const [fresh, stale] = listener.mock.calls[0].arguments;
+      service.state.user.tags.push('c');
+      service.state.lookup.delete('a');
+      service.flush();
+
+      assert.ok(Object.isFrozen(fresh.user));
+      assert.ok(Object.isFrozen(fresh.user.tags));
+      assert.ok(Object.isFrozen(fresh.lookup.get('a')));
+      assert.deepStrictEqual(fresh.user.tags, ['a', 'b']);
+      assert.deepStrictEqual([...fresh.lookup.keys()], ['a', 'b']);
+      assert.deepStrictEqual(stale.user.tags, ['a']);
+      assert.deepStrictEqual([...stale.lookup.keys()], ['a']);
+      assert.strictEqual(fresh.lookup.get('a'), stale.lookup.get('a'));
+    });
+
+    test('should add computed values to the shared snapshots', () => {
+      const service = new ObservableService({ items: [1, 2], other: {} });
+      service.computed('total', (state) => state.items.length);
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      service.state.items.push(3);
+      service.flush();
+      service.state.other.flag = true;
+      service.flush();
+
+      const [first, second] = listener.mock.calls.map((call) => call.arguments);
+      assert.strictEqual(first[0].total, 3);
+      assert.strictEqual(first[1].total, 2);
+      assert.strictEqual(second[1], first[0]);
+      assert.strictEqual(second[0].total, 3);
+      assert.strictEqual(second[0].items, first[0].items);
+    });
+
+    test('should not reuse snapshots of rolled back writes', async () => {
+      const service = new ObservableService({ user: { name: 'Ada' }, n: 0 });
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      await assert.rejects(
+        service.transaction((state) => {
+          state.user.name = 'Grace';
+          throw new Error('abort');
+        })
+      );
+      service.state.n = 1;
+      service.flush();
+
+      const [fresh, stale] = listener.mock.calls[0].arguments;
+      assert.deepStrictEqual(fresh, { user: { name: 'Ada' }, n: 1 });
+      assert.deepStrictEqual(stale, { user: { name: 'Ada' }, n: 0 });
+    });
+
+    test('should copy every place an aliased object is stored', () => {
+      const shared = { x: 1 };
+      const service = new ObservableService({
+        p: { q: { x: 0 } },
+        r: {},
+        s: { q: shared },
+        t: { q: shared },
+      });
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      service.state.r.q = service.state.p.q;
+      service.flush();
+      service.state.p.q.x = 2;
+      service.state.s.q.x = 2;
+      service.flush();
+
+      const [fresh] = listener.mock.calls[1].arguments;
+      assert.strictEqual(fresh.p.q.x, 2);
+      assert.strictEqual(fresh.r.q.x, 2);
+      assert.strictEqual(fresh.s.q.x, 2);
+      assert.strictEqual(fresh.t.q.x, 2);
+    });
+  });
+
+  describe('read-only views', () => {
+    const createService = () =>
+      new ObservableService({
+        user: { name: 'Ada', tags: ['a'] },
+        lookup: new Map([['a', { count: 1 }]]),
+        ids: new Set([1]),
+      });
+
+    test('should read the live state, including computed values', () => {
+      const service = createService();
+      service.computed('tagCount', (state) => state.user.tags.length);
+      const view = service.readonly();
+
+      assert.strictEqual(service.readonly(), view);
+      assert.strictEqual(view.user.name, 'Ada');
+      service.state.user.tags.push('b');
+      assert.strictEqual(view.tagCount, 2);
+      assert.deepStrictEqual(
+        view.user.tags.map((tag) => tag.toUpperCase()),
+        ['A', 'B']
+      );
+      assert.strictEqual(view.lookup.get('a').count, 1);
+      assert.strictEqual(view.lookup.size, 1);
+      assert.ok(view.ids.has(1));
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(view.user)), {
+        name: 'Ada',
+        tags: ['a', 'b'],
+      });
+    });
+
+    test('should throw on writes at any depth', () => {
+      const service = createService();
+      const listener = mock.fn();
+      service.subscribe(listener);
+      const view = service.readonly();
+
+      const attempts = [
+        [() => (view.user.name = 'Grace'), 'Cannot set "user.name"'],
+        [() => delete view.user.name, 'Cannot delete "user.name"'],
+        [() => view.user.tags.push('b'), 'Cannot push "user.tags"'],
+        [
+          () => Object.defineProperty(view.user, 'age', { value: 1 }),
+          'Cannot define "user.age"',
+        ],
+        [
+          () => Object.setPrototypeOf(view.user, null),
+          'Cannot set the prototype of "user"',
+        ],
+        [() => Object.freeze(view), 'Cannot prevent extensions of "(root)"'],
+        [() => view.lookup.set('b', {}), 'Cannot set "lookup"'],
+        [() => (view.lookup.get('a').count = 2), 'Cannot set "lookup.a.count"'],
+        [() => view.ids.clear(), 'Cannot clear "ids"'],
+      ];
+      for (const [attempt, message] of attempts) {
+        assert.throws(attempt, (error) => {
+          assert.ok(error instanceof ReadonlyStateError);
+          assert.ok(error.message.startsWith(message), error.message);
+          return true;
+        });
+      }
+      for (const [, count] of view.lookup) {
+        assert.throws(() => (count.count = 3), ReadonlyStateError);
+      }
+
+      service.flush();
+      assert.strictEqual(listener.mock.calls.length, 0);
+      assert.deepStrictEqual(service.snapshot(), {
+        user: { name: 'Ada', tags: ['a'] },
+        lookup: new Map([['a', { count: 1 }]]),
+        ids: new Set([1]),
+      });
+    });
+
+    test('should reject every write while frozen', async () => {
+      const service = createService();
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      service.freeze();
+      assert.throws(() => (service.state.user.name = 'Grace'), {
+        name: 'ReadonlyStateError',
+        message: 'Cannot set "user.name": the service is frozen',
+        path: ['user', 'name'],
+        operation: 'set',
+      });
+      assert.throws(() => delete service.state.ids, ReadonlyStateError);
+      assert.throws(
+        () => service.state.user.tags.push('b'),
+        ReadonlyStateError
+      );
+      assert.throws(() => service.state.lookup.delete('a'), ReadonlyStateError);
+      assert.throws(
+        () => service.applyPatch([{ op: 'add', path: '/n', value: 1 }]),
+        ReadonlyStateError
+      );
+      await assert.rejects(
+        service.transaction((draft) => {
+          draft.n = 1;
+        }),
+        ReadonlyStateError
+      );
+      assert.throws(() => service.amendState('n', 1), ReadonlyStateError);
+
+      service.unfreeze();
+      service.state.user.name = 'Grace';
+      service.flush();
+      assert.strictEqual(listener.mock.calls.length, 1);
+      assert.deepStrictEqual(listener.mock.calls[0].arguments[2], [
+        { path: ['user', 'name'], kind: 'set', prev: 'Ada', next: 'Grace' },
+      ]);
+    });
+  });
+
+  describe('proxy traps', () => {
+    test('should treat defining a value as a write', () => {
+      const service = new ObservableService({ user: { name: 'Ada' } });
+      const listener = mock.fn();
+      const middleware = mock.fn();
+      service.subscribe(listener);
+      service.use(middleware);
+
+      Object.defineProperty(service.state.user, 'id', {
+        value: 1,
+        enumerable: false,
+        writable: true,
+        configurable: true,
+      });
+      Object.defineProperties(service.state, {
+        count: {
+          value: 2,
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        },
+        user: { value: { name: 'Grace' } },
+      });
+      service.flush();
+
+      assert.strictEqual(middleware.mock.calls.length, 3);
+      assert.deepStrictEqual(listener.mock.calls[0].arguments[2], [
+        { path: ['user', 'id'], kind: 'set', prev: undefined, next: 1 },
+        { path: ['count'], kind: 'set', prev: undefined, next: 2 },
+        {
+          path: ['user'],
+          kind: 'set',
+          prev: { name: 'Ada' },
+          next: { name: 'Grace' },
+        },
+      ]);
+      assert.strictEqual(listener.mock.calls[0].arguments[0].count, 2);
+      assert.strictEqual(service.state.user.name, 'Grace');
+    });
+
+    test('should keep the attributes of defined values', () => {
+      const service = new ObservableService({ a: 1 });
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      Object.defineProperty(service.state, 'hidden', {
+        value: true,
+        enumerable: false,
+        configurable: true,
+      });
+      Object.defineProperty(service.state, 'a', { enumerable: false });
+      service.flush();
+
+      assert.deepStrictEqual(Object.keys(service.state), []);
+      assert.strictEqual(service.state.hidden, true);
+      assert.strictEqual(listener.mock.calls.length, 1);
+      assert.strictEqual(listener.mock.calls[0].arguments[2].length, 1);
+    });
+
+    test('should define new keys like an assignment would', () => {
+      const service = new ObservableService({});
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      Object.defineProperty(service.state, 'x', { value: 1 });
+      Object.defineProperty(service.state, 'user', { value: { name: 'Ada' } });
+      service.flush();
+
+      assert.deepStrictEqual(listener.mock.calls[0].arguments[0], {
+        x: 1,
+        user: { name: 'Ada' },
+      });
+      assert.strictEqual(service.state.user.name, 'Ada');
+      service.state.x = 2;
+      service.state.user.name = 'Grace';
+      delete service.state.user;
+      service.flush();
+      assert.deepStrictEqual(listener.mock.calls[1].arguments[0], { x: 2 });
+    });
+
+    test('should reject non-writable or non-configurable definitions', () => {
+      const service = new ObservableService({ a: 1 });
+
+      assert.throws(
+        () =>
+          Object.defineProperty(service.state, 'user', {
+            value: {},
+            writable: false,
+          }),
+        /Cannot define "user" as non-writable or non-configurable/
+      );
+      assert.throws(
+        () =>
+          Object.defineProperty(service.state, 'a', { configurable: false }),
+        TypeError
+      );
+      assert.throws(() => Object.freeze(service.state), TypeError);
+      assert.deepStrictEqual(
+        Object.getOwnPropertyDescriptor(service.state, 'a'),
+        {
+          value: 1,
+          writable: true,
+          enumerable: true,
+          configurable: true,
+        }
+      );
+      assert.strictEqual(Object.hasOwn(service.state, 'user'), false);
+    });
+
+    test('should reject accessors and computed names', () => {
+      const service = new ObservableService({ a: 1 });
+      service.computed('double', (state) => state.a * 2);
+
+      assert.throws(
+        () => Object.defineProperty(service.state, 'b', { get: () => 1 }),
+        /Cannot define accessor "b" on the state/
+      );
+      assert.throws(
+        () => Object.defineProperty(service.state, 'double', { value: 3 }),
+        TypeError
+      );
+      assert.strictEqual(service.state.double, 2);
+    });
+
+    test('should run defined values through schemas and freezing', () => {
+      const service = new ObservableService(
+        { count: 0 },
+        {
+          schema: { type: 'object', properties: { count: { type: 'number' } } },
+        }
+      );
+
+      assert.throws(
+        () => Object.defineProperty(service.state, 'count', { value: 'x' }),
+        { name: 'StateValidationError' }
+      );
+      service.freeze();
+      assert.throws(
+        () => Object.defineProperty(service.state, 'count', { value: 1 }),
+        ReadonlyStateError
+      );
+      assert.throws(
+        () =>
+          Object.defineProperty(service.state, 'count', { enumerable: false }),
+        ReadonlyStateError
+      );
+      assert.strictEqual(service.state.count, 0);
+    });
+
+    test('should reject prototype changes and preventExtensions by default', () => {
+      const service = new ObservableService({ user: { name: 'Ada' } });
+
+      assert.throws(() => Object.setPrototypeOf(service.state.user, null), {
+        name: 'TypeError',
+        message:
+          'Cannot set the prototype of "user": rejected by the traps option',
+      });
+      assert.throws(
+        () => Object.preventExtensions(service.state),
+        /Cannot prevent extensions of "\(root\)"/
+      );
+      assert.throws(() => Object.freeze(service.state.user), TypeError);
+      assert.strictEqual(
+        Object.getPrototypeOf(service.state.user),
+        Object.prototype
+      );
+      assert.ok(Object.isExtensible(service.state));
+    });
+
+    test('should pass operations through when configured', () => {
+      const service = new ObservableService(
+        { user: { name: 'Ada' }, n: 0 },
+        {
+          traps: {
+            defineProperty: 'passthrough',
+            setPrototypeOf: 'passthrough',
+            preventExtensions: 'passthrough',
+          },
+        }
+      );
+      const listener = mock.fn();
+      service.subscribe(listener);
+
+      Object.defineProperty(service.state.user, 'name', { value: 'Grace' });
+      const prototype = { greet: () => 'hi' };
+      Object.setPrototypeOf(service.state.user, prototype);
+      Object.preventExtensions(service.state.user);
+      service.flush();
+
+      assert.strictEqual(listener.mock.calls.length, 0);
+      assert.strictEqual(service.state.user.greet(), 'hi');
+      assert.ok(!Object.isExtensible(service.state.user));
+
+      service.state.n = 1;
+      service.flush();
+      assert.strictEqual(
+        listener.mock.calls[0].arguments[0].user.name,
+        'Grace'
+      );
+
+      service.freeze();
+      assert.throws(
+        () => Object.setPrototypeOf(service.state, null),
+        ReadonlyStateError
+      );
+    });
+
+    test('should reject defined values when configured', () => {
+      const service = new ObservableService(
+        {},
+        { traps: { defineProperty: 'reject' } }
+      );
+
+      assert.throws(
+        () => Object.defineProperty(service.state, 'a', { value: 1 }),
+        {
+          message: 'Cannot define "a": rejected by the traps option',
+        }
+      );
+      assert.deepStrictEqual({ ...service.state }, {});
+    });
+
+    test('should throw on unknown trap modes', () => {
+      assert.throws(
+        () =>
+          new ObservableService({}, { traps: { setPrototypeOf: 'notify' } }),
+        {
+          name: 'TypeError',
+          message: 'Unknown setPrototypeOf trap mode "notify"',
+        }
+      );
+      assert.throws(
+        () => new ObservableService({}, { traps: { ownKeys: 'reject' } }),
+        TypeError
+      );
+    });
+  });
 });
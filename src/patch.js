@@ -0,0 +1,258 @@
+/**
+ * @fileoverview RFC 6902 JSON Patch support for ObservableService: converts
+ * change descriptors to patch operations and applies operations through the
+ * state proxy.
+ * @author Dylan Archer
+ */
+
+import { PatchError } from './errors.js';
+import { cloneDeep, getIn, isEqual, isObservable } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ */
+
+/**
+ * @typedef {object} PatchOperation A JSON Patch operation (RFC 6902).
+ * @property {'add'|'remove'|'replace'|'move'|'copy'|'test'} op
+ * @property {string} path - JSON Pointer (RFC 6901) to the target location
+ * @property {string} [from] - JSON Pointer to the source of `move` and `copy`
+ * @property {any} [value] - Value of `add`, `replace` and `test`
+ */
+
+const OPERATIONS = new Set([
+  'add',
+  'remove',
+  'replace',
+  'move',
+  'copy',
+  'test',
+]);
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+/**
+ * Formats keys as a JSON Pointer, e.g. `['todos', '0']` as `/todos/0`.
+ * @param {Array<string|symbol>} path
+ * @returns {string}
+ */
+export const toPointer = (path) =>
+  path
+    .map((key) => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+
+/**
+ * Parses a JSON Pointer into keys.
+ * @param {unknown} pointer
+ * @returns {string[]|undefined} `undefined` when `pointer` is not valid
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) return;
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Copies `value` for a patch operation.
+ * @param {any} value
+ * @param {Array<string|symbol>} path - Where `value` is, used in errors
+ * @throws {TypeError} When `value` is or holds a `Map` or `Set`, which JSON
+ * cannot represent
+ * @returns {any}
+ */
+export const toJSONValue = (value, path) => {
+  /** @type {WeakSet<object>} */ const seen = new WeakSet();
+  /**
+   * @param {any} node
+   * @param {Array<string|symbol>} at
+   */
+  const check = (node, at) => {
+    if (node instanceof Map || node instanceof Set) {
+      throw new TypeError(
+        `Cannot represent the ${node.constructor.name} at "${toPointer(at)}" in a JSON Patch`
+      );
+    }
+    if (!isObservable(node) || seen.has(node)) return;
+    seen.add(node);
+    for (const key of Object.keys(node))
+      check(/** @type {any} */ (node)[key], [...at, key]);
+  };
+  check(value, path);
+  return cloneDeep(value);
+};
+
+/**
+ * Converts the change descriptors of a batch to JSON Patch operations.
+ * Computed values and symbol-keyed paths are left out. Array method calls
+ * and `length` writes become one `replace` of the whole array with its
+ * value after the call; writes to array items that follow are folded into
+ * that value, otherwise they target the item. Values come from the
+ * descriptors, so the patch describes the batch even when later writes
+ * changed `state`.
+ * @param {ReadonlyArray<ChangeDescriptor>} changes
+ * @param {object} state - Raw state the changes were made to, used to tell
+ * array items from object properties
+ * @throws {TypeError} When a change holds a `Map` or `Set`
+ * @returns {PatchOperation[]}
+ */
+export const patchFromChanges = (changes, state) => {
+  /** @type {PatchOperation[]} */ const operations = [];
+  for (const { path, kind, prev, next, computed } of changes) {
+    if (computed || path.some((key) => typeof key === 'symbol')) continue;
+    const pointer = toPointer(path);
+    if (kind === 'array-splice') {
+      const last = operations[operations.length - 1];
+      last?.op === 'replace' && last.path === pointer && operations.pop();
+      operations.push({
+        op: 'replace',
+        path: pointer,
+        value: toJSONValue(next, path),
+      });
+      continue;
+    }
+    const parentPath = path.slice(0, -1);
+    if (Array.isArray(getIn(state, parentPath))) {
+      const last = operations[operations.length - 1];
+      if (last?.op === 'replace' && last.path === toPointer(parentPath)) {
+        const key = /** @type {string} */ (path[path.length - 1]);
+        kind === 'delete'
+          ? delete last.value[key]
+          : (last.value[key] = toJSONValue(next, path));
+        continue;
+      }
+      if (kind === 'delete') {
+        // `delete` leaves a hole, which JSON holds as `null`.
+        operations.push({ op: 'replace', path: pointer, value: null });
+        continue;
+      }
+    }
+    if (kind === 'delete') {
+      operations.push({ op: 'remove', path: pointer });
+    } else {
+      operations.push({
+        op: prev === undefined ? 'add' : 'replace',
+        path: pointer,
+        value: toJSONValue(next, path),
+      });
+    }
+  }
+  return operations;
+};
+
+/**
+ * Applies one JSON Patch operation through the state proxy, so it runs
+ * through middleware and schema validation like any other write.
+ * @param {Record<string, any>} state - The root state proxy
+ * @param {PatchOperation} operation
+ * @param {number} index - Position of the operation, used in errors
+ * @throws {PatchError}
+ */
+export const applyOperation = (state, operation, index) => {
+  /** @type {(detail: string) => never} */
+  const fail = (detail) => {
+    throw new PatchError(index, operation, detail);
+  };
+  if (!operation || typeof operation !== 'object') fail('expected an object');
+  const { op, path: pointer, from } = operation;
+  if (!OPERATIONS.has(op)) fail(`unknown op "${op}"`);
+  const path = parsePointer(pointer) ?? fail(`invalid path "${pointer}"`);
+  const needsValue = op === 'add' || op === 'replace' || op === 'test';
+  if (needsValue && !Object.hasOwn(operation, 'value')) fail('missing value');
+
+  /**
+   * Reads the value at `keys`, failing when it does not exist.
+   * @param {string[]} keys
+   * @returns {any}
+   */
+  const read = (keys) =>
+    keys.reduce((node, key) => {
+      const exists = Array.isArray(node)
+        ? ARRAY_INDEX.test(key) && Number(key) < node.length
+        : isObservable(node) && Object.hasOwn(node, key);
+      return exists ? node[key] : fail(`"${toPointer(keys)}" does not exist`);
+    }, /** @type {any} */ (state));
+
+  /**
+   * Resolves the insertion index `key` of `list`; `-` is the end of the array.
+   * @param {any[]} list
+   * @param {string} key
+   */
+  const insertionIndex = (list, key) => {
+    const position = key === '-' ? list.length : Number(key);
+    const valid =
+      (key === '-' || ARRAY_INDEX.test(key)) && position <= list.length;
+    return valid ? position : fail(`invalid array index "${key}"`);
+  };
+
+  /** @param {Record<string, any>} value */
+  const replaceRoot = (value) => {
+    if (!isObservable(value) || Array.isArray(value)) {
+      fail('the root value must be an object');
+    }
+    for (const key of Object.keys(state)) {
+      Object.hasOwn(value, key) || delete state[key];
+    }
+    for (const key of Object.keys(value)) state[key] = value[key];
+  };
+
+  /**
+   * @param {string[]} keys
+   * @param {any} value
+   */
+  const add = (keys, value) => {
+    if (!keys.length) return replaceRoot(value);
+    const parent = read(keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(insertionIndex(parent, key), 0, value);
+    } else if (parent !== null && typeof parent === 'object') {
+      parent[key] = value;
+    } else {
+      fail(`"${toPointer(keys.slice(0, -1))}" is not an object or array`);
+    }
+  };
+
+  /** @param {string[]} keys */
+  const remove = (keys) => {
+    if (!keys.length) fail('cannot remove the root');
+    read(keys);
+    const parent = read(keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  };
+
+  switch (op) {
+    case 'add':
+      return add(path, cloneDeep(operation.value));
+    case 'remove':
+      return remove(path);
+    case 'replace': {
+      const value = cloneDeep(operation.value);
+      if (!path.length) return replaceRoot(value);
+      read(path);
+      read(path.slice(0, -1))[path[path.length - 1]] = value;
+      return;
+    }
+    case 'move':
+    case 'copy': {
+      const source = parsePointer(from) ?? fail(`invalid from "${from}"`);
+      const value = read(source);
+      if (op === 'copy') return add(path, cloneDeep(value));
+      if (from === pointer) return;
+      pointer.startsWith(`${from}/`) && fail('cannot move a value into itself');
+      remove(source);
+      return add(path, value);
+    }
+    case 'test':
+      isEqual(read(path), operation.value) ||
+        fail(`"${pointer}" does not equal the tested value`);
+  }
+};
+
+export default { applyOperation, patchFromChanges, toJSONValue, toPointer };
@@ -0,0 +1,252 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService, PatchError } from './main.js';
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+describe('JSON Patch', () => {
+  describe('toPatch', () => {
+    test('should convert a batch to RFC 6902 operations', async () => {
+      const service = new ObservableService({
+        user: { name: 'Ada' },
+        todos: ['a'],
+        draft: 'x',
+      });
+      /** @type {any[]} */ let patch = [];
+      service.subscribe((fresh, stale, changes) => {
+        patch = service.toPatch(changes);
+      });
+
+      service.state.user.name = 'Grace';
+      service.state.user['a/b~c'] = true;
+      service.state.todos.push('b');
+      service.state.todos[0] = 'z';
+      delete service.state.draft;
+      await Promise.resolve();
+
+      assert.deepStrictEqual(patch, [
+        { op: 'replace', path: '/user/name', value: 'Grace' },
+        { op: 'add', path: '/user/a~1b~0c', value: true },
+        { op: 'replace', path: '/todos', value: ['z', 'b'] },
+        { op: 'remove', path: '/draft' },
+      ]);
+    });
+
+    test('should leave computed properties out', async () => {
+      const service = new ObservableService({ count: 1 });
+      service.computed('double', (state) => state.count * 2);
+      /** @type {any[]} */ let patch = [];
+      service.subscribe((fresh, stale, changes) => {
+        patch = service.toPatch(changes);
+      });
+
+      service.state.count = 2;
+      await Promise.resolve();
+
+      assert.deepStrictEqual(patch, [
+        { op: 'replace', path: '/count', value: 2 },
+      ]);
+    });
+
+    test('should take array values from the batch, not the current state', async () => {
+      const service = new ObservableService({ list: ['a'], items: [1, 2, 3] });
+      /** @type {any[]} */ let patch = [];
+      service.subscribe((fresh, stale, changes) => {
+        patch = service.toPatch(changes);
+      });
+
+      service.state.list.push('b');
+      delete service.state.list;
+      service.state.items[1] = 5;
+      service.state.items.length = 1;
+      await Promise.resolve();
+
+      assert.deepStrictEqual(patch, [
+        { op: 'replace', path: '/list', value: ['a', 'b'] },
+        { op: 'remove', path: '/list' },
+        { op: 'replace', path: '/items/1', value: 5 },
+        { op: 'replace', path: '/items', value: [1] },
+      ]);
+    });
+
+    test('should throw on Maps and Sets instead of losing them', async () => {
+      const service = new ObservableService({ tags: new Set(), nested: {} });
+      /** @type {unknown[]} */ const errors = [];
+      service.subscribe((fresh, stale, changes) => {
+        try {
+          service.toPatch(changes);
+        } catch (error) {
+          errors.push(error);
+        }
+      });
+
+      service.state.tags.add('a');
+      await Promise.resolve();
+      service.state.nested.lookup = new Map();
+      await Promise.resolve();
+
+      assert.deepStrictEqual(
+        errors.map((error) => /** @type {Error} */ (error).message),
+        [
+          'Cannot represent the Set at "/tags" in a JSON Patch',
+          'Cannot represent the Map at "/nested/lookup" in a JSON Patch',
+        ]
+      );
+      assert.throws(() => service.toPatch(), TypeError);
+    });
+
+    test('should describe the whole state without changes', () => {
+      const service = new ObservableService({ a: 1, nested: { b: [2] } });
+      const [operation] = service.toPatch();
+
+      assert.deepStrictEqual(operation, {
+        op: 'replace',
+        path: '',
+        value: { a: 1, nested: { b: [2] } },
+      });
+      assert.notStrictEqual(operation.value.nested, service.state.nested);
+    });
+
+    test('should round-trip batches into another service', async () => {
+      const source = new ObservableService({ todos: [], filter: 'all' });
+      const target = new ObservableService({ todos: [], filter: 'all' });
+      source.subscribe((fresh, stale, changes) =>
+        target.applyPatch(source.toPatch(changes))
+      );
+
+      source.state.todos.push({ title: 'a', done: false });
+      source.state.filter = 'open';
+      await Promise.resolve();
+      source.state.todos[0].done = true;
+      await Promise.resolve();
+
+      assert.deepStrictEqual(plain(target.state), plain(source.state));
+    });
+  });
+
+  describe('applyPatch', () => {
+    test('should apply every operation kind', () => {
+      const service = new ObservableService({
+        a: { b: 1 },
+        list: [1, 2, 3],
+        old: 'x',
+      });
+
+      service.applyPatch([
+        { op: 'test', path: '/a/b', value: 1 },
+        { op: 'add', path: '/a/c', value: { d: 2 } },
+        { op: 'add', path: '/list/1', value: 9 },
+        { op: 'add', path: '/list/-', value: 4 },
+        { op: 'remove', path: '/list/0' },
+        { op: 'replace', path: '/a/b', value: 10 },
+        { op: 'move', from: '/old', path: '/moved' },
+        { op: 'copy', from: '/a/c', path: '/copied' },
+      ]);
+
+      assert.deepStrictEqual(plain(service.state), {
+        a: { b: 10, c: { d: 2 } },
+        list: [9, 2, 3, 4],
+        moved: 'x',
+        copied: { d: 2 },
+      });
+      service.state.copied.d = 3;
+      assert.strictEqual(service.state.a.c.d, 2);
+    });
+
+    test('should notify subscribers once with every change', async () => {
+      const service = new ObservableService({ a: 1, list: [] });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      service.applyPatch([
+        { op: 'replace', path: '/a', value: 2 },
+        { op: 'add', path: '/list/0', value: 'x' },
+      ]);
+      await Promise.resolve();
+
+      assert.strictEqual(subscriber.mock.calls.length, 1);
+      const [fresh, stale, changes] = subscriber.mock.calls[0].arguments;
+      assert.deepStrictEqual(plain(stale), { a: 1, list: [] });
+      assert.deepStrictEqual(plain(fresh), { a: 2, list: ['x'] });
+      assert.deepStrictEqual(
+        changes.map(({ kind }) => kind),
+        ['set', 'array-splice']
+      );
+    });
+
+    test('should replace the root document', () => {
+      const service = new ObservableService({ a: 1, b: 2 });
+      service.applyPatch([{ op: 'replace', path: '', value: { b: 3, c: 4 } }]);
+      assert.deepStrictEqual(plain(service.state), { b: 3, c: 4 });
+    });
+
+    test('should roll back every operation when one fails', async () => {
+      const service = new ObservableService({ version: 1, list: [1] });
+      const subscriber = mock.fn();
+      service.subscribe(subscriber);
+
+      assert.throws(
+        () =>
+          service.applyPatch([
+            { op: 'replace', path: '/version', value: 2 },
+            { op: 'add', path: '/list/-', value: 2 },
+            { op: 'test', path: '/version', value: 1 },
+          ]),
+        (error) =>
+          error instanceof PatchError &&
+          error.index === 2 &&
+          error.operation.op === 'test'
+      );
+      await Promise.resolve();
+
+      assert.deepStrictEqual(plain(service.state), { version: 1, list: [1] });
+      assert.strictEqual(subscriber.mock.calls.length, 0);
+    });
+
+    test('should reject invalid operations', () => {
+      const service = new ObservableService({ a: { b: 1 }, list: [1] });
+      const invalid = [
+        null,
+        { op: 'update', path: '/a' },
+        { op: 'add', path: 'a', value: 1 },
+        { op: 'add', path: '/a/b' },
+        { op: 'remove', path: '/missing' },
+        { op: 'replace', path: '/a/x', value: 1 },
+        { op: 'add', path: '/missing/x', value: 1 },
+        { op: 'add', path: '/list/5', value: 1 },
+        { op: 'add', path: '/list/01', value: 1 },
+        { op: 'remove', path: '' },
+        { op: 'move', from: '/a', path: '/a/b/c' },
+        { op: 'copy', from: '/nope', path: '/x' },
+        { op: 'replace', path: '', value: [] },
+      ];
+      for (const operation of invalid) {
+        assert.throws(() => service.applyPatch([operation]), PatchError);
+      }
+      assert.throws(() => service.applyPatch({}), TypeError);
+      assert.deepStrictEqual(plain(service.state), { a: { b: 1 }, list: [1] });
+    });
+
+    test('should run writes through middleware and schemas', () => {
+      const service = new ObservableService(
+        { count: 0 },
+        { schema: { properties: { count: { type: 'number' } } } }
+      );
+      const middleware = mock.fn();
+      service.use(middleware);
+
+      service.applyPatch([{ op: 'replace', path: '/count', value: 1 }]);
+      assert.strictEqual(middleware.mock.calls.length, 1);
+
+      assert.throws(
+        () =>
+          service.applyPatch([
+            { op: 'replace', path: '/count', value: 2 },
+            { op: 'replace', path: '/count', value: 'three' },
+          ]),
+        { name: 'StateValidationError' }
+      );
+      assert.strictEqual(service.state.count, 1);
+    });
+  });
+});
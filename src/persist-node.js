@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Node.js filesystem adapter for `persist`. Kept apart from
+ * `persist.js` so browser bundles never import `node:fs`.
+ * @author Dylan Archer
+ */
+
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * @typedef {import('./persist.js').PersistAdapter} PersistAdapter
+ */
+
+/**
+ * Stores each key as a JSON file in `directory`. Writes go to a temporary
+ * file first and are renamed into place, so a crash never leaves a
+ * half-written state file behind.
+ * @param {string} directory - Created on the first write if missing
+ * @returns {PersistAdapter}
+ * @example
+ * persist(store, { adapter: createFileAdapter('./.state'), key: 'app' });
+ */
+export const createFileAdapter = (directory) => {
+  const fileOf = (/** @type {string} */ key) =>
+    join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    async getItem(key) {
+      try {
+        return await readFile(fileOf(key), 'utf8');
+      } catch (/** @type {any} */ error) {
+        if (error?.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async setItem(key, value) {
+      const file = fileOf(key);
+      const temporary = `${file}.${process.pid}.tmp`;
+      await mkdir(directory, { recursive: true });
+      await writeFile(temporary, value, 'utf8');
+      await rename(temporary, file);
+    },
+
+    async removeItem(key) {
+      await rm(fileOf(key), { force: true });
+    },
+  };
+};
+
+export default { createFileAdapter };
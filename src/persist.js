@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Persistence for an ObservableService: hydrates the state from
+ * a storage adapter on startup and writes it back after emitted batches.
+ * @author Dylan Archer
+ */
+
+import { getIn, isObservable, toPath } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ */
+
+/**
+ * Storage backend used by `persist`. Methods may be synchronous or return
+ * promises.
+ * @typedef {object} PersistAdapter
+ * @property {(key: string) => string|null|Promise<string|null>} getItem
+ * @property {(key: string, value: string) => void|Promise<void>} setItem
+ * @property {(key: string) => void|Promise<void>} removeItem
+ */
+
+/**
+ * @typedef {object} PersistOptions
+ * @property {PersistAdapter} adapter - Where the state is stored
+ * @property {string} [key] - Storage key (default `'observable-state'`)
+ * @property {string[]} [include] - Only persist these paths, e.g. `'user.preferences'`
+ * @property {string[]} [exclude] - Never persist these paths
+ * @property {number} [debounceMs] - Wait this long after the last batch before writing (default 0)
+ * @property {number} [version] - Version stored alongside the state (default 0)
+ * @property {(state: any, version: number) => any} [migrate] - Upgrades state stored with another version; without it such state is ignored
+ * @property {(error: unknown) => void} [onError] - Receives failed hydration (unreadable or corrupt stored state, a throwing `migrate`) and failed background writes (default `console.error`)
+ */
+
+/**
+ * Keeps values in memory; useful for tests and server-side rendering.
+ * @param {Record<string, string>} [initial] - Pre-populated entries
+ * @returns {PersistAdapter}
+ */
+export const createMemoryAdapter = (initial = {}) => {
+  const entries = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => entries.get(key) ?? null,
+    setItem: (key, value) => void entries.set(key, value),
+    removeItem: (key) => void entries.delete(key),
+  };
+};
+
+/**
+ * Wraps a Web Storage object such as `localStorage` or `sessionStorage`.
+ * @param {Storage} storage
+ * @returns {PersistAdapter}
+ */
+export const createStorageAdapter = (storage) => ({
+  getItem: (key) => storage.getItem(key),
+  setItem: (key, value) => storage.setItem(key, value),
+  removeItem: (key) => storage.removeItem(key),
+});
+
+/** @returns {PersistAdapter} */
+export const localStorageAdapter = () =>
+  createStorageAdapter(globalThis.localStorage);
+
+/** @returns {PersistAdapter} */
+export const sessionStorageAdapter = () =>
+  createStorageAdapter(globalThis.sessionStorage);
+
+/**
+ * Copies `value` into `target` at `path`, creating objects along the way.
+ * @param {Record<string|symbol, any>} target
+ * @param {Array<string|symbol>} path
+ * @param {any} value
+ */
+const setIn = (target, path, value) => {
+  const parents = path.slice(0, -1);
+  const parent = parents.reduce((node, key) => (node[key] ??= {}), target);
+  parent[path[path.length - 1]] = value;
+};
+
+/**
+ * Merges persisted plain objects into the current ones so keys that were
+ * not persisted are kept; other values replace the current ones.
+ * @param {Record<string|symbol, any>} draft
+ * @param {Record<string|symbol, any>} persisted
+ */
+const mergeInto = (draft, persisted) => {
+  for (const key of Object.keys(persisted)) {
+    const value = persisted[key];
+    const mergeable =
+      isObservable(value) &&
+      !Array.isArray(value) &&
+      isObservable(draft[key]) &&
+      !Array.isArray(draft[key]);
+    if (mergeable) {
+      mergeInto(draft[key], value);
+    } else {
+      draft[key] = value;
+    }
+  }
+};
+
+/**
+ * Persists `service` through a storage adapter. The stored state is merged
+ * into the service (as one batch) once `ready` resolves; after that, every
+ * emitted batch is written back, optionally debounced. When hydration
+ * fails, the error goes to `onError` and the current state is persisted
+ * from the next batch on.
+ * @param {ObservableService} service
+ * @param {PersistOptions} options
+ * @example
+ * const persisted = persist(store, {
+ *   adapter: localStorageAdapter(),
+ *   key: 'todo-app',
+ *   exclude: ['isLoading'],
+ *   debounceMs: 250,
+ * });
+ * await persisted.ready;
+ */
+export const persist = (
+  service,
+  {
+    adapter,
+    key = 'observable-state',
+    include,
+    exclude = [],
+    debounceMs = 0,
+    version = 0,
+    migrate,
+    onError = (error) => console.error(error),
+  }
+) => {
+  /** @type {ReturnType<typeof setTimeout>|undefined} */ let timer;
+  /** @type {object|undefined} */ let pending;
+  /** @type {Promise<void>} */ let writing = Promise.resolve();
+  let disposed = false;
+
+  /**
+   * Picks the persisted part of the state as a JSON-ready copy.
+   * @param {object} state
+   */
+  const select = (state) => {
+    /** @type {Record<string|symbol, any>} */
+    let picked = JSON.parse(JSON.stringify(state));
+    if (include) {
+      const source = picked;
+      picked = {};
+      for (const path of include.map(toPath)) {
+        const value = getIn(source, path);
+        value === undefined || setIn(picked, path, value);
+      }
+    }
+    for (const path of exclude.map(toPath)) {
+      const parent = getIn(picked, path.slice(0, -1));
+      parent && delete parent[path[path.length - 1]];
+    }
+    return picked;
+  };
+
+  // Writes run one after another so an older state never lands last.
+  // Selecting runs inside the chain too, so a state that cannot be
+  // serialised rejects the write and is reported to `onError`.
+  const write = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    if (pending) {
+      const fresh = pending;
+      pending = undefined;
+      writing = writing
+        .catch(() => {})
+        .then(() => {
+          const state = select(fresh);
+          return adapter.setItem(key, JSON.stringify({ version, state }));
+        });
+      writing.catch(onError);
+    }
+    return writing;
+  };
+
+  const onBatch = (/** @type {object} */ fresh) => {
+    pending = fresh;
+    if (debounceMs <= 0) return void write();
+    clearTimeout(timer);
+    timer = setTimeout(write, debounceMs);
+  };
+
+  const hydrate = async () => {
+    const stored = await adapter.getItem(key);
+    if (stored == null) return;
+    const envelope = JSON.parse(stored);
+    const state =
+      envelope.version === version
+        ? envelope.state
+        : await migrate?.(envelope.state, envelope.version);
+    if (!isObservable(state)) return;
+    await service.transaction((draft) => mergeInto(draft, select(state)));
+  };
+
+  // A failed hydration keeps the current state but still persists it.
+  const ready = hydrate()
+    .catch(onError)
+    .then(() => {
+      disposed || service.subscribe(onBatch);
+    });
+
+  return {
+    /**
+     * Resolves once stored state has been hydrated into the service, or
+     * hydration failed and was reported to `onError`.
+     */
+    ready,
+
+    /**
+     * Writes any pending (debounced) state immediately and resolves once
+     * every write so far has finished. Rejects when the last write failed
+     * (the error is also reported to `onError`).
+     * @returns {Promise<void>}
+     */
+    flush: () => write(),
+
+    /**
+     * Removes the stored state.
+     * @returns {Promise<void>}
+     */
+    clear: async () => {
+      await adapter.removeItem(key);
+    },
+
+    /** Stops writing; a pending debounced write is dropped. */
+    dispose() {
+      disposed = true;
+      clearTimeout(timer);
+      pending = undefined;
+      service.unsubscribe(onBatch);
+    },
+  };
+};
+
+export default {
+  persist,
+  createMemoryAdapter,
+  createStorageAdapter,
+  localStorageAdapter,
+  sessionStorageAdapter,
+};
@@ -0,0 +1,332 @@
+import { test, describe, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ObservableService } from './main.js';
+import {
+  persist,
+  createMemoryAdapter,
+  createStorageAdapter,
+  localStorageAdapter,
+  sessionStorageAdapter,
+} from './persist.js';
+import { createFileAdapter } from './persist-node.js';
+
+const wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Minimal in-memory implementation of the Web Storage interface. */
+class FakeStorage {
+  #items = new Map();
+  getItem(key) {
+    return this.#items.get(key) ?? null;
+  }
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+}
+
+describe('persist', () => {
+  test('should write each emitted batch to the adapter', async () => {
+    const adapter = createMemoryAdapter();
+    const service = new ObservableService({ count: 0 });
+    const persisted = persist(service, { adapter, key: 'app' });
+    await persisted.ready;
+
+    service.state.count = 1;
+    await wait();
+
+    assert.deepStrictEqual(JSON.parse(adapter.getItem('app')), {
+      version: 0,
+      state: { count: 1 },
+    });
+  });
+
+  test('should hydrate stored state as a single batch', async () => {
+    const adapter = createMemoryAdapter({
+      app: JSON.stringify({
+        version: 0,
+        state: { user: { theme: 'dark' }, todos: ['a'] },
+      }),
+    });
+    const service = new ObservableService({
+      user: { name: 'John', theme: 'light' },
+      todos: [],
+    });
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+
+    await persist(service, { adapter, key: 'app' }).ready;
+
+    assert.deepStrictEqual(service.state, {
+      user: { name: 'John', theme: 'dark' },
+      todos: ['a'],
+    });
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+  });
+
+  test('should only persist included paths and skip excluded ones', async () => {
+    const adapter = createMemoryAdapter();
+    const service = new ObservableService({
+      user: { name: 'John', preferences: { theme: 'dark', token: 'x' } },
+      isLoading: false,
+    });
+    const persisted = persist(service, {
+      adapter,
+      include: ['user.preferences', 'isLoading', 'missing'],
+      exclude: ['user.preferences.token', 'nothing.here'],
+    });
+    await persisted.ready;
+
+    service.state.isLoading = true;
+    await wait();
+
+    assert.deepStrictEqual(
+      JSON.parse(adapter.getItem('observable-state')).state,
+      { user: { preferences: { theme: 'dark' } }, isLoading: true }
+    );
+  });
+
+  test('should debounce writes and flush on demand', async () => {
+    const setItem = mock.fn();
+    const adapter = { ...createMemoryAdapter(), setItem };
+    const service = new ObservableService({ count: 0 });
+    const persisted = persist(service, { adapter, debounceMs: 20 });
+    await persisted.ready;
+
+    service.state.count = 1;
+    await wait();
+    service.state.count = 2;
+    await wait();
+    assert.strictEqual(setItem.mock.calls.length, 0);
+
+    await wait(40);
+    assert.strictEqual(setItem.mock.calls.length, 1);
+    assert.match(setItem.mock.calls[0].arguments[1], /"count":2/);
+
+    service.state.count = 3;
+    await wait();
+    await persisted.flush();
+    assert.strictEqual(setItem.mock.calls.length, 2);
+    await persisted.flush();
+    assert.strictEqual(setItem.mock.calls.length, 2);
+  });
+
+  test('should migrate state stored with another version', async () => {
+    const adapter = createMemoryAdapter({
+      'observable-state': JSON.stringify({ version: 1, state: { name: 'J' } }),
+    });
+    const service = new ObservableService({ user: { name: '' } });
+    const migrate = mock.fn((state) => ({ user: { name: state.name } }));
+
+    await persist(service, { adapter, version: 2, migrate }).ready;
+
+    assert.deepStrictEqual(migrate.mock.calls[0].arguments, [{ name: 'J' }, 1]);
+    assert.strictEqual(service.state.user.name, 'J');
+  });
+
+  test('should ignore state of another version without migrate', async () => {
+    const adapter = createMemoryAdapter({
+      'observable-state': JSON.stringify({ version: 1, state: { a: 2 } }),
+    });
+    const service = new ObservableService({ a: 1 });
+    await persist(service, { adapter, version: 2 }).ready;
+    assert.strictEqual(service.state.a, 1);
+  });
+
+  test('should report failed background writes', async () => {
+    const failure = new Error('quota exceeded');
+    const adapter = {
+      ...createMemoryAdapter(),
+      setItem: () => Promise.reject(failure),
+    };
+    const onError = mock.fn();
+    const service = new ObservableService({ a: 1 });
+    await persist(service, { adapter, onError }).ready;
+
+    service.state.a = 2;
+    await wait();
+    assert.deepStrictEqual(onError.mock.calls[0].arguments, [failure]);
+  });
+
+  test('should report state that cannot be serialised', async () => {
+    const onError = mock.fn();
+    const subscriberError = mock.fn();
+    const service = new ObservableService({ a: 1 });
+    service.onError(subscriberError);
+    const adapter = createMemoryAdapter();
+    const persisted = persist(service, {
+      adapter,
+      onError,
+      debounceMs: 1000,
+    });
+    await persisted.ready;
+
+    service.state.a = 10n;
+    await wait();
+    const flushed = persisted.flush();
+    await assert.rejects(flushed, TypeError);
+    assert.strictEqual(onError.mock.calls.length, 1);
+    assert.ok(onError.mock.calls[0].arguments[0] instanceof TypeError);
+    assert.strictEqual(subscriberError.mock.calls.length, 0);
+
+    service.state.a = 2;
+    await wait();
+    await persisted.flush();
+    assert.deepStrictEqual(
+      JSON.parse(await adapter.getItem('observable-state')),
+      {
+        version: 0,
+        state: { a: 2 },
+      }
+    );
+  });
+
+  test('should report failed hydration and keep persisting', async () => {
+    const adapter = createMemoryAdapter({ app: '{"version":0,' });
+    const onError = mock.fn();
+    const service = new ObservableService({ a: 1 });
+    await persist(service, { adapter, key: 'app', onError }).ready;
+
+    assert.strictEqual(onError.mock.calls[0].arguments[0].name, 'SyntaxError');
+    assert.strictEqual(service.state.a, 1);
+    service.state.a = 2;
+    await wait();
+    assert.deepStrictEqual(JSON.parse(adapter.getItem('app')), {
+      version: 0,
+      state: { a: 2 },
+    });
+
+    const failure = new Error('bad version');
+    const migrating = new ObservableService({ a: 1 });
+    await persist(migrating, {
+      adapter: {
+        ...createMemoryAdapter(),
+        getItem: () => JSON.stringify({ version: 0, state: {} }),
+      },
+      version: 1,
+      migrate: () => {
+        throw failure;
+      },
+      onError,
+    }).ready;
+    assert.deepStrictEqual(onError.mock.calls[1].arguments, [failure]);
+  });
+
+  test('should stop writing after dispose and clear stored state', async () => {
+    const adapter = createMemoryAdapter({ 'observable-state': '{}' });
+    const service = new ObservableService({ a: 1 });
+    const persisted = persist(service, { adapter, debounceMs: 5 });
+    await persisted.ready;
+
+    service.state.a = 2;
+    await wait();
+    persisted.dispose();
+    await wait(10);
+    assert.strictEqual(adapter.getItem('observable-state'), '{}');
+
+    await persisted.clear();
+    assert.strictEqual(adapter.getItem('observable-state'), null);
+  });
+
+  test('should not subscribe when disposed before hydration finishes', async () => {
+    const adapter = createMemoryAdapter();
+    const service = new ObservableService({ a: 1 });
+    const persisted = persist(service, { adapter });
+    persisted.dispose();
+    await persisted.ready;
+
+    service.state.a = 2;
+    await wait();
+    assert.strictEqual(adapter.getItem('observable-state'), null);
+  });
+
+  describe('adapters', () => {
+    test('should read and write through a Web Storage object', () => {
+      const adapter = createStorageAdapter(new FakeStorage());
+      adapter.setItem('k', 'v');
+      assert.strictEqual(adapter.getItem('k'), 'v');
+      adapter.removeItem('k');
+      assert.strictEqual(adapter.getItem('k'), null);
+    });
+
+    test('should wrap the global localStorage and sessionStorage', () => {
+      const descriptors = {
+        localStorage: Object.getOwnPropertyDescriptor(
+          globalThis,
+          'localStorage'
+        ),
+        sessionStorage: Object.getOwnPropertyDescriptor(
+          globalThis,
+          'sessionStorage'
+        ),
+      };
+      const local = new FakeStorage();
+      const session = new FakeStorage();
+      Object.defineProperty(globalThis, 'localStorage', {
+        value: local,
+        configurable: true,
+      });
+      Object.defineProperty(globalThis, 'sessionStorage', {
+        value: session,
+        configurable: true,
+      });
+      try {
+        localStorageAdapter().setItem('k', 'local');
+        sessionStorageAdapter().setItem('k', 'session');
+        assert.strictEqual(local.getItem('k'), 'local');
+        assert.strictEqual(session.getItem('k'), 'session');
+      } finally {
+        for (const [name, descriptor] of Object.entries(descriptors)) {
+          if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+          else delete globalThis[name];
+        }
+      }
+    });
+
+    describe('createFileAdapter', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'observable-persist-'));
+      after(() => rm(directory, { recursive: true, force: true }));
+
+      test('should store keys as JSON files', async () => {
+        const adapter = createFileAdapter(join(directory, 'nested'));
+        assert.strictEqual(await adapter.getItem('my/app'), null);
+
+        await adapter.setItem('my/app', '{"a":1}');
+        assert.strictEqual(await adapter.getItem('my/app'), '{"a":1}');
+        assert.strictEqual(
+          await readFile(join(directory, 'nested', 'my%2Fapp.json'), 'utf8'),
+          '{"a":1}'
+        );
+
+        await adapter.removeItem('my/app');
+        await adapter.removeItem('my/app');
+        assert.strictEqual(await adapter.getItem('my/app'), null);
+      });
+
+      test('should surface read errors other than a missing file', async () => {
+        const adapter = createFileAdapter(directory);
+        await adapter.setItem('dir', '{}');
+        const asDirectory = createFileAdapter(join(directory, 'dir.json'));
+        await assert.rejects(asDirectory.getItem('x'), { code: 'ENOTDIR' });
+      });
+
+      test('should hydrate a service from disk', async () => {
+        const adapter = createFileAdapter(directory);
+        const first = new ObservableService({ count: 0 });
+        const persisted = persist(first, { adapter });
+        await persisted.ready;
+        first.state.count = 5;
+        await wait();
+        await persisted.flush();
+
+        const second = new ObservableService({ count: 0 });
+        await persist(second, { adapter }).ready;
+        assert.strictEqual(second.state.count, 5);
+      });
+    });
+  });
+});
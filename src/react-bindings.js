@@ -0,0 +1,160 @@
+/**
+ * @fileoverview React hooks for ObservableService, built on
+ * `useSyncExternalStore`. The hooks implementation is passed in, so the
+ * bindings can be tested without React; `react.js` binds them to React.
+ * @author Dylan Archer
+ */
+
+import { getIn } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ */
+
+/**
+ * The React hooks the bindings are built on.
+ * @typedef {object} ReactHooks
+ * @property {<T>(subscribe: (onChange: () => void) => () => void, getSnapshot: () => T, getServerSnapshot?: () => T) => T} useSyncExternalStore
+ * @property {<T>(initial: T) => { current: T }} useRef
+ */
+
+/**
+ * An external store over a service's emitted states.
+ * @typedef {object} ServiceStore
+ * @property {(onChange: () => void) => () => void} subscribe
+ * @property {() => Readonly<Record<string, any>>} getSnapshot
+ */
+
+/**
+ * Reads the current state of `service` the way subscribers receive it:
+ * frozen, with computed values, and the same object until the next write.
+ * @param {ObservableService} service
+ * @returns {Readonly<Record<string, any>>}
+ */
+const readState = (service) => {
+  /** @type {any} */ let state;
+  service.subscribe((/** @type {object} */ fresh) => (state = fresh), {
+    immediate: true,
+    once: true,
+  });
+  return state;
+};
+
+/** @type {WeakMap<ObservableService, ServiceStore>} */
+const stores = new WeakMap();
+
+/**
+ * Returns the external store of `service`, shared by every component using
+ * it. It holds one subscription to the service while any component is
+ * subscribed; its snapshot is the `fresh` state of the last batch.
+ * @param {ObservableService} service
+ * @returns {ServiceStore}
+ */
+const storeOf = (service) => {
+  const existing = stores.get(service);
+  if (existing) return existing;
+  /** @type {Set<() => void>} */ const listeners = new Set();
+  /** @type {(() => void)|undefined} */ let unsubscribe;
+  /** @type {Readonly<Record<string, any>>|undefined} */ let current;
+
+  /** @type {ServiceStore} */
+  const store = {
+    subscribe(onChange) {
+      listeners.add(onChange);
+      if (!unsubscribe) {
+        current = readState(service);
+        unsubscribe = service.subscribe((/** @type {object} */ fresh) => {
+          current = fresh;
+          for (const listener of [...listeners]) listener();
+        });
+      }
+      return () => {
+        listeners.delete(onChange);
+        if (listeners.size || !unsubscribe) return;
+        unsubscribe();
+        unsubscribe = current = undefined;
+      };
+    },
+    getSnapshot: () => (unsubscribe && current) || readState(service),
+  };
+  stores.set(service, store);
+  return store;
+};
+
+/**
+ * Creates the `useObservable` and `useObservableSelector` hooks from a
+ * hooks implementation (normally React's).
+ * @param {ReactHooks} hooks
+ * @example
+ * import * as React from 'react';
+ * const { useObservable } = createReactBindings(React);
+ */
+export const createReactBindings = ({ useSyncExternalStore, useRef }) => {
+  /**
+   * Returns the frozen state of `service` (including computed values) and
+   * re-renders the component after every batch. Unchanged parts of the
+   * state keep their identity between renders (see structural sharing),
+   * so they can be passed to memoized children.
+   * @param {ObservableService} service
+   * @returns {Readonly<Record<string, any>>}
+   * @example
+   * const TodoCount = () => {
+   *   const state = useObservable(store);
+   *   return <span>{state.todos.length}</span>;
+   * };
+   */
+  const useObservable = (service) => {
+    const store = storeOf(service);
+    return useSyncExternalStore(
+      store.subscribe,
+      store.getSnapshot,
+      store.getSnapshot
+    );
+  };
+
+  /**
+   * Returns `selector(state)` (or the value at a path such as
+   * `'user.name'`) and re-renders the component only when a batch changes
+   * it according to `equals`. Until then the previous selection is
+   * returned as is, so selectors may build new objects or arrays.
+   * @template T
+   * @param {ObservableService} service
+   * @param {((state: Readonly<Record<string, any>>) => T)|string|Array<string|symbol>} selector
+   * @param {(prev: T, next: T) => boolean} [equals] - Default `Object.is`
+   * @returns {T}
+   * @example
+   * const name = useObservableSelector(store, 'user.name');
+   * const open = useObservableSelector(
+   *   store,
+   *   (state) => state.todos.filter((todo) => !todo.completed),
+   *   (prev, next) => prev.length === next.length && prev.every((todo, i) => todo === next[i])
+   * );
+   */
+  const useObservableSelector = (service, selector, equals = Object.is) => {
+    const store = storeOf(service);
+    /** @type {{ current: { state: object, selector: unknown, selection: T }|undefined }} */
+    const last = useRef(undefined);
+    const select = () => {
+      const state = store.getSnapshot();
+      const previous = last.current;
+      if (previous?.state === state && previous.selector === selector) {
+        return previous.selection;
+      }
+      const next =
+        typeof selector === 'function'
+          ? selector(state)
+          : getIn(state, selector);
+      const selection =
+        previous && equals(previous.selection, next)
+          ? previous.selection
+          : next;
+      last.current = { state, selector, selection };
+      return selection;
+    };
+    return useSyncExternalStore(store.subscribe, select, select);
+  };
+
+  return { useObservable, useObservableSelector };
+};
+
+export default { createReactBindings };
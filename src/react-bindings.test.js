@@ -0,0 +1,146 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { createReactBindings } from './react-bindings.js';
+
+/**
+ * A minimal stand-in for React's renderer: components are functions that
+ * call hooks, and a component re-renders when the snapshot of an external
+ * store it reads changes, as with `useSyncExternalStore`.
+ */
+let dispatcher;
+
+const { useObservable, useObservableSelector } = createReactBindings({
+  useRef: (initial) => dispatcher.useRef(initial),
+  useSyncExternalStore: (subscribe, getSnapshot) =>
+    dispatcher.useSyncExternalStore(subscribe, getSnapshot),
+});
+
+const render = (component) => {
+  const slots = [];
+  let cursor = 0;
+  const hooks = {
+    useRef(initial) {
+      return (slots[cursor++] ??= { current: initial });
+    },
+    useSyncExternalStore(subscribe, getSnapshot) {
+      const value = getSnapshot();
+      assert.strictEqual(getSnapshot(), value, 'getSnapshot must be stable');
+      const slot = (slots[cursor++] ??= {});
+      Object.assign(slot, { getSnapshot, value });
+      slot.unsubscribe ??= subscribe(() => {
+        Object.is(slot.getSnapshot(), slot.value) || rerender();
+      });
+      return value;
+    },
+  };
+  const instance = {
+    result: undefined,
+    renders: 0,
+    unmount: () => slots.forEach((slot) => slot.unsubscribe?.()),
+  };
+  const rerender = () => {
+    cursor = 0;
+    dispatcher = hooks;
+    try {
+      instance.result = component();
+      instance.renders++;
+    } finally {
+      dispatcher = undefined;
+    }
+  };
+  rerender();
+  return instance;
+};
+
+describe('React bindings', () => {
+  test('useObservable should return the frozen state and re-render per batch', () => {
+    const service = new ObservableService({ todos: [], user: { name: 'Ada' } });
+    service.computed('count', (state) => state.todos.length);
+    const view = render(() => useObservable(service));
+
+    assert.ok(Object.isFrozen(view.result));
+    assert.deepStrictEqual(view.result, {
+      todos: [],
+      user: { name: 'Ada' },
+      count: 0,
+    });
+
+    const before = view.result;
+    service.state.todos.push('a');
+    service.state.todos.push('b');
+    service.flush();
+
+    assert.strictEqual(view.renders, 2);
+    assert.strictEqual(view.result.count, 2);
+    assert.strictEqual(view.result.user, before.user);
+    view.unmount();
+  });
+
+  test('useObservableSelector should only re-render when the selection changes', () => {
+    const service = new ObservableService({
+      todos: [{ title: 'a', done: false }],
+      filter: 'all',
+    });
+    const byPath = render(() =>
+      useObservableSelector(service, 'todos.0.title')
+    );
+    const open = render(() =>
+      useObservableSelector(
+        service,
+        (state) => state.todos.filter((todo) => !todo.done),
+        (prev, next) =>
+          prev.length === next.length &&
+          prev.every((todo, index) => todo === next[index])
+      )
+    );
+    const first = open.result;
+
+    service.state.filter = 'open';
+    service.flush();
+    assert.strictEqual(byPath.renders, 1);
+    assert.strictEqual(open.renders, 1);
+    assert.strictEqual(open.result, first);
+
+    service.state.todos[0].title = 'b';
+    service.flush();
+    assert.strictEqual(byPath.renders, 2);
+    assert.strictEqual(byPath.result, 'b');
+    assert.strictEqual(open.renders, 2);
+    assert.deepStrictEqual(open.result, [{ title: 'b', done: false }]);
+
+    byPath.unmount();
+    open.unmount();
+  });
+
+  test('should share one service subscription and release it on unmount', () => {
+    const service = new ObservableService({ n: 0 });
+    const subscribe = mock.method(service, 'subscribe');
+    const views = [1, 2, 3].map(() => render(() => useObservable(service)));
+    const subscriptions = subscribe.mock.calls.filter(
+      (call) => !call.arguments[1]?.once
+    );
+    assert.strictEqual(subscriptions.length, 1);
+
+    views.forEach((view) => view.unmount());
+    const listener = mock.fn();
+    service.subscribe(listener);
+    service.state.n = 1;
+    service.flush();
+
+    assert.strictEqual(listener.mock.calls.length, 1);
+    assert.ok(views.every((view) => view.renders === 1));
+  });
+
+  test('should read the latest state while nothing is subscribed', () => {
+    const service = new ObservableService({ n: 0 });
+    render(() => useObservableSelector(service, 'n')).unmount();
+
+    service.state.n = 1;
+    service.flush();
+    const view = render(() => useObservableSelector(service, 'n'));
+
+    assert.strictEqual(view.result, 1);
+    view.unmount();
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview React entry point: `useObservable` and
+ * `useObservableSelector` bound to React's hooks. Requires React 18 or
+ * later.
+ * @author Dylan Archer
+ */
+
+import { useRef, useSyncExternalStore } from 'react';
+import { createReactBindings } from './react-bindings.js';
+
+export const { useObservable, useObservableSelector } = createReactBindings({
+  useRef,
+  useSyncExternalStore,
+});
+
+export default { useObservable, useObservableSelector };
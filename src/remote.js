@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Bridges an ObservableService across a `MessagePort`: the
+ * canonical service lives on one side (e.g. in a Web Worker or a
+ * `worker_threads` worker) and a mirror service on the other.
+ * @author Dylan Archer
+ */
+
+import { ObservableService } from './main.js';
+import { cloneDeep, toOperations, writeIn } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ * @typedef {import('./main.js').ObservableOptions} ObservableOptions
+ * @typedef {import('./shared.js').Operation} Operation
+ */
+
+/**
+ * Messages exchanged over the port.
+ * @typedef {{ type: 'init', state: object, writable: boolean }
+ *   | { type: 'patch', operations: Operation[] }
+ *   | { type: 'write', id: number, operations: Operation[] }
+ *   | { type: 'ack', id: number, error?: { name: string, message: string }, state?: object }} RemoteMessage
+ */
+
+/**
+ * The subset of `MessagePort` used by the bridge.
+ * @typedef {object} RemotePort
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} addEventListener
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} removeEventListener
+ * @property {() => void} [start]
+ */
+
+/**
+ * @typedef {object} ExposeOptions
+ * @property {boolean} [writable] - Let the mirror write to the service (default `false`)
+ */
+
+/**
+ * @typedef {object} ConnectOptions
+ * @property {ObservableOptions} [options] - Options for the mirror service, e.g. its scheduler
+ * @property {(error: unknown) => void} [onError] - Receives writes the service rejected (default `console.error`)
+ */
+
+/**
+ * Serves `service` over `port` to a mirror created by `connectService`. The
+ * current state is sent right away, followed by a patch for every emitted
+ * batch. Each batch forwarded by a writable mirror is applied through
+ * `service.state` as one `service.batch()`, so middleware and schemas still
+ * apply and a rejected write undoes the whole batch, and is acknowledged
+ * once the resulting patch has been sent.
+ * @param {ObservableService} service
+ * @param {RemotePort} port
+ * @param {ExposeOptions} [options]
+ * @example
+ * // worker.js
+ * import { parentPort } from 'node:worker_threads';
+ * exposeService(store, parentPort, { writable: true });
+ */
+export const exposeService = (service, port, { writable = false } = {}) => {
+  const post = (/** @type {RemoteMessage} */ message) =>
+    port.postMessage(message);
+
+  const stream = (
+    /** @type {object} */ fresh,
+    /** @type {object} */ stale,
+    /** @type {ReadonlyArray<ChangeDescriptor>} */ changes
+  ) => {
+    const operations = toOperations(changes);
+    operations.length && post({ type: 'patch', operations });
+  };
+
+  const receive = (/** @type {MessageEvent<RemoteMessage>} */ event) => {
+    const message = event.data;
+    if (message?.type !== 'write') return;
+    try {
+      if (!writable) throw new TypeError('The exposed service is read-only');
+      service.batch(() => {
+        for (const operation of message.operations) {
+          writeIn(service.state, operation);
+        }
+      });
+      service.flush();
+      post({ type: 'ack', id: message.id });
+    } catch (error) {
+      const { name, message: detail } = /** @type {Error} */ (error);
+      // The mirror already shows the write, so it needs the state back.
+      post({
+        type: 'ack',
+        id: message.id,
+        error: { name, message: detail },
+        state: cloneDeep(service.state),
+      });
+    }
+  };
+
+  post({ type: 'init', state: cloneDeep(service.state), writable });
+  const unsubscribe = service.subscribe(stream);
+  port.addEventListener('message', receive);
+  port.start?.();
+
+  return {
+    /** Stops serving the port; the port itself is left open. */
+    dispose() {
+      unsubscribe();
+      port.removeEventListener('message', receive);
+    },
+  };
+};
+
+/**
+ * Creates a mirror of a service exposed on the other side of `port` with
+ * `exposeService`. The mirror's state is replaced by the service's state as
+ * one batch once `ready` resolves, and every batch of the service is then
+ * applied as one batch of the mirror.
+ *
+ * Writing to `service.state` of a read-only mirror throws. A writable
+ * mirror applies writes right away and forwards each of its batches to the
+ * service, which applies it as one batch. Patches of the service are held
+ * back while forwarded batches are unacknowledged, then applied together,
+ * so the mirror never shows a state older than its own writes; a batch the
+ * service rejects is reverted to the service's state.
+ * @param {RemotePort} port
+ * @param {ConnectOptions} [options]
+ * @example
+ * const remote = connectService(worker);
+ * await remote.ready;
+ * remote.service.subscribe((fresh) => render(fresh));
+ * remote.service.state.filter = 'done'; // applied here and by the worker
+ * await remote.flush();
+ */
+export const connectService = (
+  port,
+  { options, onError = (error) => console.error(error) } = {}
+) => {
+  const service = new ObservableService({}, options);
+  /** @type {Map<number, { acknowledged: Promise<void>, resolve: () => void }>} */
+  const pending = new Map();
+  let writable = false;
+  let applying = false;
+  let nextId = 0;
+  /** @type {Operation[]} Patches held back until every write is acknowledged */
+  let deferred = [];
+  /** @type {() => void} */ let connected = () => {};
+  /** @type {Promise<void>} */
+  const ready = new Promise((resolve) => (connected = resolve));
+
+  /**
+   * Applies operations from the service as one batch of the mirror.
+   * @param {Operation[]} operations
+   */
+  const apply = (operations) => {
+    // Forward pending writes of the mirror first so they don't merge with
+    // the incoming batch.
+    service.flush();
+    applying = true;
+    try {
+      for (const operation of operations) {
+        writeIn(service.state, operation);
+      }
+    } finally {
+      service.flush();
+      applying = false;
+    }
+  };
+
+  /**
+   * Operations replacing the mirror's state with `state`.
+   * @param {Record<string, any>} state
+   * @returns {Operation[]}
+   */
+  const replaceWith = (state) => [
+    ...Object.keys(service.state)
+      .filter((key) => !Object.hasOwn(state, key))
+      .map((key) => ({ path: [key], op: /** @type {const} */ ('delete') })),
+    ...Object.keys(state).map((key) => ({
+      path: [key],
+      op: /** @type {const} */ ('set'),
+      value: state[key],
+    })),
+  ];
+
+  /**
+   * Posts a batch of the mirror to the service and tracks its
+   * acknowledgement.
+   * @param {object} fresh
+   * @param {object} stale
+   * @param {ReadonlyArray<ChangeDescriptor>} changes
+   */
+  const forward = (fresh, stale, changes) => {
+    if (applying || !writable) return;
+    const operations = toOperations(changes).map((operation) =>
+      operation.op === 'set'
+        ? { ...operation, value: cloneDeep(operation.value) }
+        : operation
+    );
+    if (!operations.length) return;
+    const id = nextId++;
+    /** @type {RemoteMessage} */
+    const message = { type: 'write', id, operations };
+    port.postMessage(message);
+    /** @type {() => void} */ let resolve = () => {};
+    /** @type {Promise<void>} */
+    const acknowledged = new Promise((done) => (resolve = () => done()));
+    pending.set(id, { acknowledged, resolve });
+  };
+
+  const removeMiddleware = service.use(({ path }) => {
+    if (applying) return;
+    if (!writable) return false;
+    if (path.some((key) => typeof key === 'symbol')) return false;
+  });
+  const unsubscribe = service.subscribe(forward);
+
+  const receive = (/** @type {MessageEvent<RemoteMessage>} */ event) => {
+    const message = event.data;
+    switch (message?.type) {
+      case 'init': {
+        writable = message.writable;
+        apply(replaceWith(/** @type {Record<string, any>} */ (message.state)));
+        connected();
+        break;
+      }
+      case 'patch':
+        pending.size
+          ? deferred.push(...message.operations)
+          : apply(message.operations);
+        break;
+      case 'ack': {
+        const write = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.error) {
+          deferred.push(
+            ...replaceWith(/** @type {Record<string, any>} */ (message.state))
+          );
+          onError(
+            Object.assign(new Error(message.error.message), {
+              name: message.error.name,
+            })
+          );
+        }
+        if (!pending.size && deferred.length) {
+          const operations = deferred;
+          deferred = [];
+          apply(operations);
+        }
+        write?.resolve();
+        break;
+      }
+    }
+  };
+
+  port.addEventListener('message', receive);
+  port.start?.();
+
+  return {
+    /** The mirror service. */
+    service,
+
+    /** Resolves once the service's state has been received. */
+    ready,
+
+    /**
+     * Forwards the pending batch of the mirror, then resolves once every
+     * write forwarded so far has been acknowledged and the mirror caught up
+     * with the service. Rejected writes are reported to `onError`.
+     * @returns {Promise<void>}
+     */
+    flush: async () => {
+      service.flush();
+      await Promise.all([...pending.values()].map((w) => w.acknowledged));
+    },
+
+    /** Stops mirroring; the mirror keeps its last state. */
+    dispose() {
+      removeMiddleware();
+      unsubscribe();
+      port.removeEventListener('message', receive);
+      deferred = [];
+      for (const write of pending.values()) write.resolve();
+      pending.clear();
+    },
+  };
+};
+
+export default { exposeService, connectService };
@@ -0,0 +1,182 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { exposeService, connectService } from './remote.js';
+
+/** @type {MessageChannel[]} */
+let channels = [];
+
+/**
+ * Exposes a service on one port of a fresh `MessageChannel` and connects a
+ * mirror to the other.
+ */
+const bridge = (state, exposeOptions, connectOptions) => {
+  const channel = new MessageChannel();
+  channels.push(channel);
+  const service = new ObservableService(state);
+  const host = exposeService(service, channel.port1, exposeOptions);
+  const remote = connectService(channel.port2, connectOptions);
+  return { service, host, remote };
+};
+
+/** Resolves with the next batch `service` emits. */
+const nextBatch = (service) =>
+  new Promise((resolve) =>
+    service.subscribe((...batch) => resolve(batch), { once: true })
+  );
+
+describe('remote services', () => {
+  afterEach(() => {
+    channels.forEach(({ port1, port2 }) => (port1.close(), port2.close()));
+    channels = [];
+  });
+
+  test('should mirror the initial state as one batch', async () => {
+    const { remote } = bridge({ user: { name: 'Ada' }, todos: ['a'] });
+    const subscriber = mock.fn();
+    remote.service.subscribe(subscriber);
+
+    await remote.ready;
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(remote.service.state)), {
+      user: { name: 'Ada' },
+      todos: ['a'],
+    });
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+  });
+
+  test('should stream batches of the service as patches', async () => {
+    const { service, remote } = bridge({ count: 0, todos: [], draft: 'x' });
+    await remote.ready;
+
+    const batch = nextBatch(remote.service);
+    service.state.count = 1;
+    service.state.todos.push('write tests');
+    delete service.state.draft;
+    const [fresh, , changes] = await batch;
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(fresh)), {
+      count: 1,
+      todos: ['write tests'],
+    });
+    assert.deepStrictEqual(
+      changes.map(({ path, kind }) => [path.join('.'), kind]),
+      [
+        ['count', 'set'],
+        ['todos', 'set'],
+        ['draft', 'delete'],
+      ]
+    );
+  });
+
+  test('should reject writes to a read-only mirror', async () => {
+    const { remote } = bridge({ count: 0 });
+    await remote.ready;
+
+    assert.throws(() => {
+      remote.service.state.count = 1;
+    }, TypeError);
+    assert.strictEqual(remote.service.state.count, 0);
+  });
+
+  test('should forward writes of a writable mirror', async () => {
+    const { service, remote } = bridge(
+      { count: 0, user: { name: 'Ada' }, temp: true },
+      { writable: true }
+    );
+    await remote.ready;
+
+    remote.service.state.count = 1;
+    remote.service.state.user.name = 'Grace';
+    delete remote.service.state.temp;
+    assert.strictEqual(remote.service.state.count, 1);
+
+    await remote.flush();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state)), {
+      count: 1,
+      user: { name: 'Grace' },
+    });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(remote.service.state)), {
+      count: 1,
+      user: { name: 'Grace' },
+    });
+  });
+
+  test('should report writes the service rejects', async () => {
+    const onError = mock.fn();
+    const { service, remote } = bridge(
+      { count: 0 },
+      { writable: true },
+      { onError }
+    );
+    service.use(({ value }) => (value < 0 ? false : undefined));
+    await remote.ready;
+
+    remote.service.state.count = -1;
+    await remote.flush();
+
+    assert.strictEqual(onError.mock.calls.length, 1);
+    assert.strictEqual(onError.mock.calls[0].arguments[0].name, 'TypeError');
+    assert.strictEqual(service.state.count, 0);
+    assert.strictEqual(remote.service.state.count, 0);
+  });
+
+  test('should forward a batch of the mirror as one batch of the service', async () => {
+    const { service, remote } = bridge({ todos: [], n: 0 }, { writable: true });
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    await remote.ready;
+
+    remote.service.state.todos.push('a');
+    remote.service.state.todos.push('b');
+    remote.service.state.n++;
+    remote.service.state.n++;
+    await remote.flush();
+
+    const expected = { todos: ['a', 'b'], n: 2 };
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state)), expected);
+    assert.deepStrictEqual(
+      JSON.parse(JSON.stringify(remote.service.state)),
+      expected
+    );
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+  });
+
+  test('should keep the mirror ahead of patches for its own writes', async () => {
+    const { service, remote } = bridge(
+      { todos: [], n: 0 },
+      { writable: true },
+      { options: { scheduler: 'sync' } }
+    );
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+    await remote.ready;
+
+    remote.service.state.todos.push('a');
+    remote.service.state.n++;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    remote.service.state.todos.push('b');
+    remote.service.state.n++;
+    assert.deepStrictEqual([...remote.service.state.todos], ['a', 'b']);
+    await remote.flush();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state)), {
+      todos: ['a', 'b'],
+      n: 2,
+    });
+    // One batch per forwarded push or increment: `push` is not split.
+    assert.strictEqual(subscriber.mock.calls.length, 4);
+  });
+
+  test('should stop mirroring once disposed', async () => {
+    const { service, host, remote } = bridge({ count: 0 });
+    await remote.ready;
+
+    host.dispose();
+    remote.dispose();
+    service.state.count = 1;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.strictEqual(remote.service.state.count, 0);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Notification schedulers deciding when an ObservableService
+ * emits a pending batch.
+ * @author Dylan Archer
+ */
+
+/**
+ * Receives the function emitting the pending batch and decides when to call it.
+ * @callback Scheduler
+ * @param {() => void} flush
+ * @returns {void}
+ */
+
+/**
+ * `'sync'`, `'microtask'`, `'raf'`, `'idle'`, `'timeout:<ms>'` or a custom
+ * scheduler function.
+ * @typedef {'sync'|'microtask'|'raf'|'idle'|`timeout:${number}`|Scheduler} SchedulerOption
+ */
+
+/** @type {Record<string, Scheduler>} */
+const schedulers = {
+  sync: (flush) => flush(),
+  microtask: (flush) => void Promise.resolve().then(flush),
+  raf: (flush) =>
+    typeof globalThis.requestAnimationFrame === 'function'
+      ? void globalThis.requestAnimationFrame(() => flush())
+      : void setTimeout(flush, 16),
+  idle: (flush) =>
+    typeof globalThis.requestIdleCallback === 'function'
+      ? void globalThis.requestIdleCallback(() => flush())
+      : void setTimeout(flush, 0),
+};
+
+/**
+ * Turns a `scheduler` option into a scheduler function. Outside browsers,
+ * `'raf'` and `'idle'` fall back to timers.
+ * @param {SchedulerOption} [option] - Defaults to `'microtask'`
+ * @returns {Scheduler}
+ * @throws {TypeError} When the option is not a known scheduler
+ */
+export const resolveScheduler = (option = 'microtask') => {
+  if (typeof option === 'function') return option;
+  if (Object.hasOwn(schedulers, option)) return schedulers[option];
+  const [, delay] = /^timeout:(\d+)$/.exec(String(option)) ?? [];
+  if (delay === undefined) {
+    throw new TypeError(`Unknown scheduler "${String(option)}"`);
+  }
+  return (flush) => void setTimeout(flush, Number(delay));
+};
+
+export default { resolveScheduler };
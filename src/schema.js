@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Schema validation for ObservableService writes. Schemas use a
+ * small built-in descriptor format; any node may instead be a Standard
+ * Schema–style validator (an object with a `~standard.validate` function).
+ * @author Dylan Archer
+ */
+
+import { StateValidationError } from './errors.js';
+import { getIn, isObservable } from './shared.js';
+
+/**
+ * @typedef {object} SchemaDescriptor
+ * @property {'string'|'number'|'integer'|'boolean'|'object'|'array'|'function'|'null'} [type] - Expected type
+ * @property {any[]} [enum] - Allowed values
+ * @property {boolean} [nullable] - Also accept `null`
+ * @property {number} [min] - Minimum number
+ * @property {number} [max] - Maximum number
+ * @property {number} [minLength] - Minimum string or array length
+ * @property {number} [maxLength] - Maximum string or array length
+ * @property {RegExp} [pattern] - Pattern strings must match
+ * @property {Record<string, Schema>} [properties] - Schemas of known object keys
+ * @property {string[]} [required] - Object keys that must be present and cannot be deleted
+ * @property {boolean|Schema} [additionalProperties] - `false` rejects unknown keys; a schema validates them
+ * @property {Schema} [items] - Schema of every array item
+ * @property {(value: any) => boolean|string|void} [validate] - Custom rule; return `false` or a message to reject
+ */
+
+/**
+ * @typedef {{ message: string, path?: ReadonlyArray<PropertyKey | { key: PropertyKey }> }} StandardIssue
+ * @typedef {{ value?: unknown, issues?: ReadonlyArray<StandardIssue> }} StandardResult
+ */
+
+/**
+ * A validator following the Standard Schema interface.
+ * @typedef {{ '~standard': { validate: (value: unknown) => StandardResult | Promise<StandardResult> } }} StandardSchema
+ */
+
+/** @typedef {SchemaDescriptor|StandardSchema} Schema */
+
+/**
+ * @param {any} schema
+ * @returns {schema is StandardSchema}
+ */
+const isStandard = (schema) =>
+  typeof schema?.['~standard']?.validate === 'function';
+
+/**
+ * @param {any} value
+ */
+const typeOf = (value) =>
+  value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+/**
+ * @param {string} type
+ * @param {any} value
+ */
+const matchesType = (type, value) =>
+  type === 'integer' ? Number.isInteger(value) : typeOf(value) === type;
+
+/**
+ * @param {StandardSchema} schema
+ * @param {any} value
+ * @param {Array<string|symbol>} path
+ */
+const checkStandard = (schema, value, path) => {
+  const result = schema['~standard'].validate(value);
+  if (result instanceof Promise) {
+    throw new TypeError('Asynchronous schemas cannot validate state writes');
+  }
+  const [issue] = result.issues ?? [];
+  if (!issue) return;
+  const issuePath = (issue.path ?? []).map((segment) =>
+    typeof segment === 'object' ? segment.key : segment
+  );
+  throw new StateValidationError(
+    [
+      ...path,
+      ...issuePath.map((key) => (typeof key === 'symbol' ? key : String(key))),
+    ],
+    'schema',
+    issue.message
+  );
+};
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+/**
+ * Checks a string or array length against `minLength` and `maxLength`.
+ * @param {SchemaDescriptor} schema
+ * @param {number} length
+ * @param {Array<string|symbol>} path - Path of the string or array
+ * @throws {StateValidationError}
+ */
+const checkLength = (schema, length, path) => {
+  if (length < (schema.minLength ?? 0)) {
+    throw new StateValidationError(
+      path,
+      'minLength',
+      `expected length >= ${schema.minLength}`
+    );
+  }
+  if (length > (schema.maxLength ?? Infinity)) {
+    throw new StateValidationError(
+      path,
+      'maxLength',
+      `expected length <= ${schema.maxLength}`
+    );
+  }
+};
+
+/**
+ * Validates `value` (recursively) against `schema`.
+ * @param {Schema} schema
+ * @param {any} value
+ * @param {Array<string|symbol>} path - Path of `value`, used in errors
+ * @throws {StateValidationError}
+ */
+export const check = (schema, value, path) => {
+  if (isStandard(schema)) return checkStandard(schema, value, path);
+  const fail = (/** @type {string} */ rule, /** @type {string} */ detail) => {
+    throw new StateValidationError(path, rule, detail);
+  };
+  if (value === null && schema.nullable) return;
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail('type', `expected ${schema.type}, got ${typeOf(value)}`);
+  }
+  if (schema.enum && !schema.enum.some((option) => Object.is(option, value))) {
+    const options = schema.enum.map((option) => JSON.stringify(option));
+    fail('enum', `expected one of ${options.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    value < (schema.min ?? -Infinity) &&
+      fail('min', `expected >= ${schema.min}`);
+    value > (schema.max ?? Infinity) &&
+      fail('max', `expected <= ${schema.max}`);
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    checkLength(schema, value.length, path);
+  }
+  if (typeof value === 'string' && schema.pattern?.test(value) === false) {
+    fail('pattern', `expected to match ${schema.pattern}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    const { items } = schema;
+    value.forEach((item, index) =>
+      check(items, item, [...path, String(index)])
+    );
+  } else if (isObservable(value) && !Array.isArray(value)) {
+    for (const key of schema.required ?? []) {
+      Object.hasOwn(value, key) ||
+        fail('required', `missing required property "${key}"`);
+    }
+    for (const key of Object.keys(value)) {
+      const child = childSchema(schema, key, [...path, key]);
+      child && check(child, /** @type {any} */ (value)[key], [...path, key]);
+    }
+  }
+  const verdict = schema.validate?.(value);
+  if (verdict === false || typeof verdict === 'string') {
+    fail('validate', verdict || 'failed custom validation');
+  }
+};
+
+/**
+ * Finds the schema constraining `key` of a value described by `schema`.
+ * @param {SchemaDescriptor} schema
+ * @param {string|symbol} key
+ * @param {Array<string|symbol>} path - Path of the child, used in errors
+ * @returns {Schema|undefined} `undefined` when the child is unconstrained
+ */
+const childSchema = (schema, key, path) => {
+  if (schema.items) return key === 'length' ? undefined : schema.items;
+  if (
+    typeof key === 'string' &&
+    schema.properties &&
+    Object.hasOwn(schema.properties, key)
+  ) {
+    return schema.properties[key];
+  }
+  if (schema.additionalProperties === false) {
+    throw new StateValidationError(
+      path,
+      'additionalProperties',
+      `unknown property "${String(key)}"`
+    );
+  }
+  return typeof schema.additionalProperties === 'object'
+    ? schema.additionalProperties
+    : undefined;
+};
+
+/**
+ * Returns a copy of `base` with the write applied at `path`, copying only
+ * the objects along the path.
+ * @param {any} base
+ * @param {Array<string|symbol>} path
+ * @param {'set'|'delete'} op
+ * @param {any} value
+ * @returns {any}
+ */
+const applyIn = (base, path, op, value) => {
+  if (!path.length) return value;
+  const [key, ...rest] = path;
+  const copy = Array.isArray(base) ? [...base] : { ...base };
+  if (!rest.length && op === 'delete') {
+    delete copy[key];
+  } else {
+    copy[key] = applyIn(base?.[key], rest, op, value);
+  }
+  return copy;
+};
+
+/**
+ * Validates a single write against the root schema before it is applied.
+ * When a Standard Schema is found on the way to the written path, it
+ * validates a copy of its whole subtree with the write applied.
+ * @param {Schema} schema - Root schema
+ * @param {object} state - Raw state the write applies to
+ * @param {{ op: 'set'|'delete', path: Array<string|symbol>, value: any }} write
+ * @throws {StateValidationError}
+ */
+export const validateWrite = (schema, state, { op, path, value }) => {
+  let node = schema;
+  for (let depth = 0; depth < path.length; depth++) {
+    if (isStandard(node)) {
+      const at = path.slice(0, depth);
+      const candidate = applyIn(getIn(state, at), path.slice(depth), op, value);
+      return checkStandard(node, candidate, at);
+    }
+    const key = path[depth];
+    if (op === 'delete' && depth === path.length - 1) {
+      if (typeof key === 'string' && node.required?.includes(key)) {
+        throw new StateValidationError(
+          path,
+          'required',
+          `cannot delete required property "${key}"`
+        );
+      }
+      return;
+    }
+    const parent =
+      depth === path.length - 1 && getIn(state, path.slice(0, depth));
+    if (op === 'set' && Array.isArray(parent)) {
+      // Index and `length` writes resize the array itself.
+      if (key === 'length') {
+        checkLength(node, value, path.slice(0, depth));
+      } else if (typeof key === 'string' && ARRAY_INDEX.test(key)) {
+        const length = Math.max(parent.length, Number(key) + 1);
+        checkLength(node, length, path.slice(0, depth));
+      }
+    }
+    const child = childSchema(node, key, path.slice(0, depth + 1));
+    if (!child) return;
+    node = child;
+  }
+  op === 'set' && check(node, value, path);
+};
+
+export default { check, validateWrite };
@@ -0,0 +1,275 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService, StateValidationError } from './main.js';
+import { check } from './schema.js';
+
+const taskSchema = {
+  type: 'object',
+  required: ['task'],
+  properties: {
+    task: { type: 'string', minLength: 1 },
+    priority: { enum: ['low', 'medium', 'high'] },
+    estimate: { type: 'integer', min: 0, max: 40, nullable: true },
+    tags: { type: 'array', maxLength: 3, items: { type: 'string' } },
+    schedule: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date'],
+        additionalProperties: false,
+        properties: {
+          date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+          time: { type: 'string' },
+        },
+      },
+    },
+    assignedTo: {
+      type: 'string',
+      validate: (value) => value !== 'nobody' || 'must name a person',
+    },
+  },
+};
+
+/**
+ * Minimal Standard Schema–style validator used to exercise the adapter hook.
+ * @param {(value: unknown) => Array<{ message: string, path?: Array<PropertyKey | { key: PropertyKey }> }>} issuesOf
+ */
+const standard = (issuesOf) => ({
+  '~standard': {
+    version: 1,
+    vendor: 'test',
+    validate: (value) => {
+      const issues = issuesOf(value);
+      return issues.length ? { issues } : { value };
+    },
+  },
+});
+
+const createService = () =>
+  new ObservableService(
+    {
+      task: 'some to do item',
+      priority: 'low',
+      estimate: 2,
+      tags: ['work'],
+      schedule: [{ date: '2023-10-01', time: '10:00' }],
+      assignedTo: 'John Doe',
+    },
+    { schema: taskSchema }
+  );
+
+/**
+ * @param {() => void} fn
+ * @param {string} path
+ * @param {string} rule
+ */
+const assertRejected = (fn, path, rule) =>
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof StateValidationError);
+    assert.strictEqual(error.name, 'StateValidationError');
+    assert.strictEqual(error.path.join('.'), path);
+    assert.strictEqual(error.rule, rule);
+    assert.match(error.message, new RegExp(`"${path}"`));
+    return true;
+  });
+
+describe('schema validation', () => {
+  test('should accept valid writes', async () => {
+    const service = createService();
+    const subscriber = mock.fn();
+    service.subscribe(subscriber);
+
+    service.state.priority = 'high';
+    service.state.estimate = null;
+    service.state.tags.push('urgent');
+    service.state.schedule[0].date = '2023-10-02';
+    service.state.notes = 'unconstrained';
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.strictEqual(subscriber.mock.calls.length, 1);
+  });
+
+  test('should reject writes that violate a rule', () => {
+    const service = createService();
+    assertRejected(
+      () => (service.state.priority = 'urgent'),
+      'priority',
+      'enum'
+    );
+    assertRejected(() => (service.state.task = 42), 'task', 'type');
+    assertRejected(() => (service.state.task = ''), 'task', 'minLength');
+    assertRejected(() => (service.state.estimate = 1.5), 'estimate', 'type');
+    assertRejected(() => (service.state.estimate = -1), 'estimate', 'min');
+    assertRejected(() => (service.state.estimate = 41), 'estimate', 'max');
+    assertRejected(
+      () => (service.state.assignedTo = 'nobody'),
+      'assignedTo',
+      'validate'
+    );
+    assert.strictEqual(service.state.priority, 'low');
+  });
+
+  test('should validate nested writes and array items', () => {
+    const service = createService();
+    assertRejected(() => service.state.tags.push(1), 'tags.1', 'type');
+    assertRejected(
+      () => (service.state.schedule[0].date = 'tomorrow'),
+      'schedule.0.date',
+      'pattern'
+    );
+    assertRejected(
+      () => (service.state.schedule[0].room = 'A'),
+      'schedule.0.room',
+      'additionalProperties'
+    );
+    assertRejected(
+      () => service.state.schedule.push({ time: '09:00' }),
+      'schedule.1',
+      'required'
+    );
+    assertRejected(
+      () => (service.state.tags = ['a', 'b', 'c', 'd']),
+      'tags',
+      'maxLength'
+    );
+  });
+
+  test('should check array length rules on index and length writes', () => {
+    const service = createService();
+    service.state.tags.push('home', 'urgent');
+    assertRejected(() => service.state.tags.push('late'), 'tags', 'maxLength');
+    assertRejected(() => (service.state.tags[3] = 'late'), 'tags', 'maxLength');
+    assertRejected(() => (service.state.tags.length = 4), 'tags', 'maxLength');
+    assert.deepStrictEqual([...service.state.tags], ['work', 'home', 'urgent']);
+
+    const list = new ObservableService(
+      { items: ['a'] },
+      { schema: { properties: { items: { type: 'array', minLength: 1 } } } }
+    );
+    assertRejected(() => list.state.items.pop(), 'items', 'minLength');
+    assertRejected(() => list.state.items.splice(0, 1), 'items', 'minLength');
+    assertRejected(() => (list.state.items.length = 0), 'items', 'minLength');
+    assert.deepStrictEqual([...list.state.items], ['a']);
+    list.state.items[0] = 'b';
+    assert.deepStrictEqual([...list.state.items], ['b']);
+  });
+
+  test('should reject deleting required properties', () => {
+    const service = createService();
+    assertRejected(() => delete service.state.task, 'task', 'required');
+    assertRejected(
+      () => delete service.state.schedule[0].date,
+      'schedule.0.date',
+      'required'
+    );
+    delete service.state.priority;
+    assert.strictEqual('priority' in service.state, false);
+  });
+
+  test('should validate writes through amendState and pruneState', () => {
+    const service = createService();
+    assertRejected(
+      () => service.amendState('priority', 'none'),
+      'priority',
+      'enum'
+    );
+    assertRejected(() => service.pruneState('task'), 'task', 'required');
+  });
+
+  test('should validate Map and Set writes against the collection', () => {
+    const service = new ObservableService(
+      { scores: new Map([['a', 1]]), ids: new Set([1]) },
+      {
+        schema: {
+          type: 'object',
+          properties: {
+            scores: {
+              validate: (scores) =>
+                [...scores.values()].every((n) => typeof n === 'number') ||
+                'expected numeric scores',
+            },
+            ids: standard((ids) =>
+              ids.size ? [] : [{ message: 'expected at least one id' }]
+            ),
+          },
+        },
+      }
+    );
+
+    assertRejected(
+      () => service.state.scores.set('a', 'str'),
+      'scores',
+      'validate'
+    );
+    assertRejected(() => service.state.ids.delete(1), 'ids', 'schema');
+    assertRejected(() => service.state.ids.clear(), 'ids', 'schema');
+    service.state.scores.set('b', 2);
+    service.state.ids.add(2);
+    assert.deepStrictEqual(
+      [...service.state.scores],
+      [
+        ['a', 1],
+        ['b', 2],
+      ]
+    );
+    assert.deepStrictEqual([...service.state.ids], [1, 2]);
+  });
+
+  test('should validate through Standard Schema validators', () => {
+    const service = new ObservableService(
+      { user: { name: 'John', age: 30 } },
+      {
+        schema: {
+          properties: {
+            user: standard((user) =>
+              typeof user.age === 'number' && user.age >= 0
+                ? []
+                : [{ message: 'age must be positive', path: [{ key: 'age' }] }]
+            ),
+          },
+        },
+      }
+    );
+
+    service.state.user.age = 31;
+    assertRejected(() => (service.state.user.age = -1), 'user.age', 'schema');
+    assertRejected(() => delete service.state.user.age, 'user.age', 'schema');
+    assert.strictEqual(service.state.user.age, 31);
+  });
+
+  test('should accept a Standard Schema validator as the root schema', () => {
+    const service = new ObservableService(
+      { count: 0 },
+      {
+        schema: standard((state) =>
+          Number.isInteger(state.count)
+            ? []
+            : [{ message: 'count must be an integer', path: ['count'] }]
+        ),
+      }
+    );
+    assertRejected(() => (service.state.count = 0.5), 'count', 'schema');
+  });
+
+  test('should refuse asynchronous Standard Schema validators', () => {
+    const service = new ObservableService(
+      { count: 0 },
+      {
+        schema: {
+          '~standard': { validate: async (value) => ({ value }) },
+        },
+      }
+    );
+    assert.throws(() => (service.state.count = 1), TypeError);
+  });
+
+  test('should expose check for validating whole values', () => {
+    assert.doesNotThrow(() => check(taskSchema, { task: 'x' }, []));
+    assert.throws(() => check(taskSchema, {}, []), {
+      name: 'StateValidationError',
+      path: [],
+      rule: 'required',
+      message: 'Invalid state at "(root)": missing required property "task"',
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview JSON serialisation of state that round-trips values JSON
+ * cannot represent: `Date`, `Map`, `Set`, `BigInt` and `undefined`.
+ * @author Dylan Archer
+ */
+
+import { isObservable } from './shared.js';
+
+/**
+ * Key marking an encoded value, e.g. `{ "$type": "Date", "value": "…" }`.
+ * Plain objects that have this key themselves are encoded as `Object`.
+ */
+const TYPE = '$type';
+
+/**
+ * Converts `value` to JSON-safe data, tagging values JSON would lose.
+ * @param {any} value
+ * @returns {any}
+ */
+const encode = (value) => {
+  if (value === undefined) return { [TYPE]: 'undefined' };
+  if (typeof value === 'bigint') return { [TYPE]: 'BigInt', value: `${value}` };
+  if (value instanceof Date) {
+    return { [TYPE]: 'Date', value: value.toISOString() };
+  }
+  if (value instanceof Map) {
+    return {
+      [TYPE]: 'Map',
+      value: [...value].map(([key, item]) => [encode(key), encode(item)]),
+    };
+  }
+  if (value instanceof Set) {
+    return { [TYPE]: 'Set', value: [...value].map(encode) };
+  }
+  if (Array.isArray(value)) return Array.from(value, encode);
+  if (!isObservable(value)) return value;
+  const entries = Object.entries(value).map(([key, item]) => [
+    key,
+    encode(item),
+  ]);
+  return Object.hasOwn(value, TYPE)
+    ? { [TYPE]: 'Object', value: entries }
+    : Object.fromEntries(entries);
+};
+
+/**
+ * Restores values tagged by `encode`.
+ * @param {any} data
+ * @returns {any}
+ */
+const decode = (data) => {
+  if (Array.isArray(data)) return data.map(decode);
+  if (data === null || typeof data !== 'object') return data;
+  if (!Object.hasOwn(data, TYPE)) {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, item]) => [key, decode(item)])
+    );
+  }
+  const { value } = data;
+  switch (data[TYPE]) {
+    case 'undefined':
+      return undefined;
+    case 'BigInt':
+      return BigInt(value);
+    case 'Date':
+      return new Date(value);
+    case 'Map':
+      return new Map(
+        value.map((/** @type {[any, any]} */ [key, item]) => [
+          decode(key),
+          decode(item),
+        ])
+      );
+    case 'Set':
+      return new Set(value.map(decode));
+    case 'Object':
+      return Object.fromEntries(
+        value.map((/** @type {[string, any]} */ [key, item]) => [
+          key,
+          decode(item),
+        ])
+      );
+    default:
+      throw new TypeError(`Unknown serialized type "${data[TYPE]}"`);
+  }
+};
+
+/**
+ * Serialises state to a JSON string, preserving `Date`, `Map`, `Set`,
+ * `BigInt` and `undefined` values (including `undefined` array items and
+ * object properties).
+ * @param {any} value - Typically `service.snapshot()`
+ * @returns {string}
+ * @example
+ * localStorage.setItem('state', serialize(service.snapshot()));
+ * service.restore(deserialize(localStorage.getItem('state')));
+ */
+export const serialize = (value) => JSON.stringify(encode(value));
+
+/**
+ * Parses a string produced by `serialize`.
+ * @param {string} text
+ * @returns {any}
+ * @throws {SyntaxError} When `text` is not valid JSON
+ * @throws {TypeError} When `text` contains an unknown `$type`
+ */
+export const deserialize = (text) => decode(JSON.parse(text));
+
+export default { serialize, deserialize };
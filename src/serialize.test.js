@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { serialize, deserialize } from './serialize.js';
+
+describe('serialize', () => {
+  test('should round-trip values JSON cannot represent', () => {
+    const value = {
+      created: new Date('2024-05-01T12:00:00.000Z'),
+      lookup: new Map([
+        ['a', { count: 1n }],
+        [2, new Set(['x'])],
+      ]),
+      tags: new Set([1, 2]),
+      big: 12345678901234567890n,
+      missing: undefined,
+      list: [undefined, null, 1],
+      nested: { deep: { when: new Date(0) } },
+    };
+
+    const restored = deserialize(serialize(value));
+
+    assert.deepStrictEqual(restored, value);
+    assert.ok(Object.hasOwn(restored, 'missing'));
+    assert.strictEqual(restored.list.length, 3);
+  });
+
+  test('should keep plain objects that use the type key', () => {
+    const value = { data: { $type: 'Date', value: 'not a date' } };
+    assert.deepStrictEqual(deserialize(serialize(value)), value);
+  });
+
+  test('should produce plain JSON for plain state', () => {
+    const value = { a: [1, 'b', null], c: { d: true } };
+    assert.strictEqual(serialize(value), JSON.stringify(value));
+  });
+
+  test('should reject unknown types', () => {
+    assert.throws(() => deserialize('{"$type":"Symbol"}'), TypeError);
+  });
+
+  test('should restore serialized snapshots', async () => {
+    const service = new ObservableService({
+      updated: new Date('2024-01-01T00:00:00.000Z'),
+      ids: new Set([1]),
+    });
+    const saved = serialize(service.snapshot());
+    service.state.updated = new Date('2025-01-01T00:00:00.000Z');
+    service.state.ids = new Set([2]);
+
+    service.restore(deserialize(saved));
+
+    assert.deepStrictEqual(service.state.updated, new Date('2024-01-01'));
+    assert.deepStrictEqual(new Set(service.state.ids), new Set([1]));
+  });
+});
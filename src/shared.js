@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Internal helpers shared by the observable modules.
+ * @author Dylan Archer
+ */
+
+/**
+ * Whether a value is a plain object or array that should be observed deeply.
+ * @param {any} value
+ * @returns {value is object}
+ */
+export const isObservable = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Copies plain objects, arrays, `Date`s, `Map`s and `Set`s recursively so
+ * nested values of a stale snapshot are not mutated by later writes. Other
+ * values are kept as-is.
+ * @param {any} value
+ * @param {WeakMap<object, any>} [seen]
+ * @returns {any}
+ */
+export const cloneDeep = (value, seen = new WeakMap()) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Map || value instanceof Set) {
+    if (seen.has(value)) return seen.get(value);
+    const copy = new /** @type {any} */ (value.constructor)();
+    seen.set(value, copy);
+    for (const [key, item] of value.entries()) {
+      value instanceof Map
+        ? copy.set(key, cloneDeep(item, seen))
+        : copy.add(cloneDeep(item, seen));
+    }
+    return copy;
+  }
+  if (!isObservable(value)) return value;
+  if (seen.has(value)) return seen.get(value);
+  /** @type {Record<string|symbol, any>} */
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+  for (const key of Reflect.ownKeys(value)) {
+    copy[key] = cloneDeep(/** @type {any} */ (value)[key], seen);
+  }
+  return copy;
+};
+
+/**
+ * Freezes a `Map` or `Set` and shadows its `set`, `add`, `delete` and
+ * `clear` methods with ones that throw, since freezing alone does not stop
+ * them from changing the entries. Structured cloning copies the entries only.
+ * @template {Map<any, any>|Set<any>} T
+ * @param {T} collection
+ * @returns {T}
+ */
+export const freezeCollection = (collection) => {
+  for (const method of ['set', 'add', 'delete', 'clear']) {
+    if (!(method in collection)) continue;
+    Object.defineProperty(collection, method, {
+      value: () => {
+        throw new TypeError(
+          `Cannot ${method} on a read-only ${collection.constructor.name}`
+        );
+      },
+    });
+  }
+  return Object.freeze(collection);
+};
+
+/**
+ * Freezes plain objects, arrays, `Map`s and `Set`s recursively; `Map`s and
+ * `Set`s become read-only (see `freezeCollection`).
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export const freezeDeep = (value) => {
+  if (value instanceof Map || value instanceof Set) {
+    if (Object.isFrozen(value)) return value;
+    freezeCollection(value);
+    for (const [key, item] of value.entries()) {
+      freezeDeep(key);
+      freezeDeep(item);
+    }
+    return value;
+  }
+  if (!isObservable(value) || Object.isFrozen(value)) return value;
+  Object.freeze(value);
+  for (const key of Reflect.ownKeys(value)) {
+    freezeDeep(/** @type {any} */ (value)[key]);
+  }
+  return value;
+};
+
+/**
+ * Structural equality for plain objects, arrays, `Date`s (by time), `Map`s
+ * and `Set`s (in insertion order), `Object.is` otherwise.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export const isEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) {
+    return Object.is(a.getTime(), b.getTime());
+  }
+  if (a instanceof Map && b instanceof Map) {
+    return (
+      a.size === b.size &&
+      [...a].every(([key, value]) => b.has(key) && isEqual(value, b.get(key)))
+    );
+  }
+  if (a instanceof Set && b instanceof Set) {
+    const items = [...b];
+    return (
+      a.size === b.size && [...a].every((item, i) => isEqual(item, items[i]))
+    );
+  }
+  if (!isObservable(a) || !isObservable(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Reflect.ownKeys(a);
+  if (keys.length !== Reflect.ownKeys(b).length) return false;
+  return keys.every(
+    (key) =>
+      Object.hasOwn(b, key) &&
+      isEqual(/** @type {any} */ (a)[key], /** @type {any} */ (b)[key])
+  );
+};
+
+/**
+ * Normalises a dot-separated string path (`'user.preferences.theme'`) or an
+ * array of keys into an array of keys.
+ * @param {string|Array<string|symbol>} path
+ * @returns {Array<string|symbol>}
+ */
+export const toPath = (path) =>
+  Array.isArray(path) ? path : path === '' ? [] : path.split('.');
+
+/**
+ * Reads the value at `path`, returning `undefined` when any segment is missing.
+ * @param {any} source
+ * @param {string|Array<string|symbol>} path
+ * @returns {any}
+ */
+export const getIn = (source, path) =>
+  toPath(path).reduce((value, key) => value?.[key], source);
+
+/**
+ * One write of a serialisable patch, as exchanged between contexts. Paths
+ * only contain string keys so patches survive structured cloning.
+ * @typedef {object} Operation
+ * @property {string[]} path - Keys from the state root to the written value
+ * @property {'set'|'delete'} op
+ * @property {any} [value] - New value of a `set`
+ */
+
+/**
+ * Converts the change descriptors of a batch to patch operations, dropping
+ * computed values and symbol-keyed paths.
+ * @param {ReadonlyArray<import('./main.js').ChangeDescriptor>} changes
+ * @returns {Operation[]}
+ */
+export const toOperations = (changes) =>
+  changes.flatMap(({ path, kind, next, computed }) => {
+    if (computed || path.some((key) => typeof key === 'symbol')) return [];
+    const keys = /** @type {string[]} */ (path);
+    /** @type {Operation} */
+    const operation =
+      kind === 'delete'
+        ? { path: keys, op: 'delete' }
+        : { path: keys, op: 'set', value: next };
+    return [operation];
+  });
+
+/**
+ * Applies `operation` through a state proxy, creating missing parent
+ * objects. A `set` of `undefined` keeps the key.
+ * @param {Record<string, any>} state
+ * @param {Operation} operation
+ */
+export const writeIn = (state, { path, op, value }) => {
+  let parent = state;
+  for (const key of path.slice(0, -1)) {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      parent[key] = {};
+    }
+    parent = parent[key];
+  }
+  const key = path[path.length - 1];
+  if (op === 'delete') {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Composes a root store from named ObservableServices
+ * (modules). Each module keeps its own subscribers; the root combines their
+ * states and rolls their batches up into one notification per tick.
+ * @author Dylan Archer
+ */
+
+import { resolveScheduler } from './scheduler.js';
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ * @typedef {import('./main.js').BatchLabel} BatchLabel
+ * @typedef {import('./scheduler.js').SchedulerOption} SchedulerOption
+ */
+
+/**
+ * @callback StoreSubscriber
+ * @param {Readonly<Record<string, any>>} fresh - Fresh state of every module, by name
+ * @param {Readonly<Record<string, any>>} stale - The same before the batch
+ * @param {ReadonlyArray<ChangeDescriptor>} changes - Changes of every module, with paths starting at the module name
+ * @param {BatchLabel} [label] - The last label of the modules' batches
+ * @returns {void}
+ */
+
+/**
+ * @typedef {object} StoreOptions
+ * @property {SchedulerOption} [scheduler] - When root subscribers are notified after a module's batch (default `'microtask'`)
+ * @property {(error: unknown) => void} [onError] - Receives errors thrown by root subscribers (default `console.error`)
+ */
+
+/**
+ * Creates a root store from named services. `store.state.user` is the
+ * `state` proxy of the `user` module, so writes go through that module
+ * (its middleware, schema and subscribers); the root state itself is frozen,
+ * so modules cannot be replaced or removed through it.
+ *
+ * Root subscribers are notified once per tick, after the modules, with
+ * the batches of every module that changed combined: the states hold the
+ * fresh state of each module and change paths start with the module name.
+ * Subscribers of one module are not woken up by changes of another.
+ * @template {Record<string, ObservableService>} Modules
+ * @param {Modules} modules
+ * @param {StoreOptions} [options]
+ * @example
+ * const store = createStore({ user: userService, todos: todoService });
+ * store.subscribe((fresh, stale, changes) => render(fresh));
+ * store.state.todos.items.push({ title: 'Compose' }); // notifies `todos` and the root
+ */
+export const createStore = (
+  modules,
+  { scheduler, onError = (error) => console.error(error) } = {}
+) => {
+  const schedule = resolveScheduler(scheduler);
+  const names = Object.keys(modules);
+  /** @type {Set<StoreSubscriber>} */ const subscribers = new Set();
+  /** @type {Record<string, Readonly<Record<string, any>>>} */
+  const current = {};
+  /** @type {Readonly<Record<string, any>>} */ let published = {};
+  /** @type {ChangeDescriptor[]} */ let changes = [];
+  /** @type {BatchLabel|undefined} */ let label;
+  let queued = false;
+
+  const emit = () => {
+    if (!queued) return;
+    queued = false;
+    const stale = published;
+    published = Object.freeze({ ...current });
+    const batch = Object.freeze(changes);
+    const batchLabel = label;
+    changes = [];
+    label = undefined;
+    for (const subscriber of [...subscribers]) {
+      try {
+        subscriber(published, stale, batch, batchLabel);
+      } catch (error) {
+        onError(error);
+      }
+    }
+  };
+
+  const disposers = names.map((name) => {
+    let initializing = true;
+    const dispose = modules[name].subscribe(
+      (
+        /** @type {Readonly<Record<string, any>>} */ fresh,
+        /** @type {unknown} */ stale,
+        /** @type {ReadonlyArray<ChangeDescriptor>} */ moduleChanges,
+        /** @type {BatchLabel|undefined} */ moduleLabel
+      ) => {
+        current[name] = fresh;
+        if (initializing) return;
+        for (const change of moduleChanges) {
+          changes.push(
+            Object.freeze({ ...change, path: [name, ...change.path] })
+          );
+        }
+        label = moduleLabel ?? label;
+        if (queued) return;
+        queued = true;
+        schedule(emit);
+      },
+      { immediate: true }
+    );
+    initializing = false;
+    return dispose;
+  });
+  published = Object.freeze({ ...current });
+
+  return {
+    /** The `state` proxies of the modules, by name. */
+    state:
+      /** @type {Readonly<{ [Name in keyof Modules]: Modules[Name]['state'] }>} */ (
+        Object.freeze(
+          Object.fromEntries(names.map((name) => [name, modules[name].state]))
+        )
+      ),
+
+    /** The module services, by name. */
+    modules: /** @type {Readonly<Modules>} */ (Object.freeze({ ...modules })),
+
+    /**
+     * Adds a root subscriber, notified once per tick in which any module
+     * emitted a batch.
+     * @param {StoreSubscriber} subscriber
+     * @returns {() => void} Removes the subscriber
+     */
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => void subscribers.delete(subscriber);
+    },
+
+    /**
+     * Emits the pending batches of every module, then notifies root
+     * subscribers without waiting for the scheduler.
+     */
+    flush() {
+      for (const name of names) modules[name].flush();
+      emit();
+    },
+
+    /** Stops listening to the modules and removes every root subscriber. */
+    dispose() {
+      disposers.forEach((dispose) => dispose());
+      subscribers.clear();
+      queued = false;
+    },
+  };
+};
+
+export default { createStore };
@@ -0,0 +1,123 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { createStore } from './store.js';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const createModules = () => ({
+  user: new ObservableService({ name: 'Ada' }),
+  todos: new ObservableService({ items: [] }),
+});
+
+describe('createStore', () => {
+  test('should expose the module state proxies by name', () => {
+    const modules = createModules();
+    const store = createStore(modules);
+
+    assert.strictEqual(store.state.user, modules.user.state);
+    assert.strictEqual(store.modules.todos, modules.todos);
+    assert.deepStrictEqual(Object.keys(store.state), ['user', 'todos']);
+    assert.throws(() => {
+      store.state.user = {};
+    }, TypeError);
+
+    store.state.user.name = 'Grace';
+    assert.strictEqual(modules.user.state.name, 'Grace');
+    store.dispose();
+  });
+
+  test('should roll module batches up into one root notification per tick', async () => {
+    const modules = createModules();
+    const store = createStore(modules);
+    const root = mock.fn();
+    const user = mock.fn();
+    const todos = mock.fn();
+    store.subscribe(root);
+    modules.user.subscribe(user);
+    modules.todos.subscribe(todos);
+
+    store.state.user.name = 'Grace';
+    store.state.todos.items.push('Compose');
+    await tick();
+
+    assert.strictEqual(user.mock.calls.length, 1);
+    assert.strictEqual(todos.mock.calls.length, 1);
+    assert.strictEqual(root.mock.calls.length, 1);
+    const [fresh, stale, changes] = root.mock.calls[0].arguments;
+    assert.ok(Object.isFrozen(fresh));
+    assert.strictEqual(fresh.user, user.mock.calls[0].arguments[0]);
+    assert.deepStrictEqual(fresh, {
+      user: { name: 'Grace' },
+      todos: { items: ['Compose'] },
+    });
+    assert.deepStrictEqual(stale, {
+      user: { name: 'Ada' },
+      todos: { items: [] },
+    });
+    assert.deepStrictEqual(
+      changes.map(({ path }) => path),
+      [
+        ['user', 'name'],
+        ['todos', 'items'],
+      ]
+    );
+    store.dispose();
+  });
+
+  test('should only wake module subscribers for their own module', async () => {
+    const modules = createModules();
+    const store = createStore(modules);
+    const todos = mock.fn();
+    modules.todos.subscribe(todos);
+
+    store.state.user.name = 'Grace';
+    await tick();
+
+    assert.strictEqual(todos.mock.calls.length, 0);
+    store.dispose();
+  });
+
+  test('should combine several module batches in one tick', () => {
+    const modules = createModules();
+    const store = createStore(modules);
+    const root = mock.fn();
+    store.subscribe(root);
+
+    store.state.user.name = 'Grace';
+    modules.user.flush();
+    store.state.user.name = 'Linus';
+    modules.user.label('rename', 'Linus');
+    store.flush();
+
+    assert.strictEqual(root.mock.calls.length, 1);
+    const [fresh, stale, changes, label] = root.mock.calls[0].arguments;
+    assert.strictEqual(fresh.user.name, 'Linus');
+    assert.strictEqual(stale.user.name, 'Ada');
+    assert.strictEqual(changes.length, 2);
+    assert.deepStrictEqual(label, { type: 'rename', payload: 'Linus' });
+  });
+
+  test('should report subscriber errors and stop once disposed', async () => {
+    const onError = mock.fn();
+    const modules = createModules();
+    const store = createStore(modules, { onError });
+    const after = mock.fn();
+    store.subscribe(() => {
+      throw new Error('render failed');
+    });
+    const unsubscribe = store.subscribe(after);
+
+    store.state.user.name = 'Grace';
+    await tick();
+    assert.strictEqual(onError.mock.calls.length, 1);
+    assert.strictEqual(after.mock.calls.length, 1);
+
+    unsubscribe();
+    store.dispose();
+    store.state.user.name = 'Linus';
+    await tick();
+    assert.strictEqual(after.mock.calls.length, 1);
+    assert.strictEqual(onError.mock.calls.length, 1);
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Keeps ObservableServices in separate browsing contexts (tabs,
+ * windows, workers) in sync by broadcasting every emitted batch as a patch
+ * over a `BroadcastChannel`.
+ * @author Dylan Archer
+ */
+
+import { cloneDeep, getIn, toOperations, toPath, writeIn } from './shared.js';
+
+/**
+ * @typedef {import('./main.js').ObservableService} ObservableService
+ * @typedef {import('./main.js').ChangeDescriptor} ChangeDescriptor
+ */
+
+/**
+ * @typedef {import('./shared.js').Operation} SyncOperation
+ */
+
+/**
+ * @typedef {object} SyncMessage What is posted on the channel for each batch.
+ * @property {string} source - Id of the sending context
+ * @property {number} clock - Logical time of the batch
+ * @property {Record<string, number>} seen - Latest clock the sender had received from each context
+ * @property {SyncOperation[]} operations
+ */
+
+/**
+ * A write to one path, with the logical time it happened at.
+ * @typedef {object} SyncWrite
+ * @property {string[]} path
+ * @property {any} value - Written value (`undefined` once deleted)
+ * @property {number} clock
+ * @property {string} source - Id of the context that wrote it
+ */
+
+/**
+ * Decides the value of a path written concurrently in two contexts. Should be
+ * deterministic so every context settles on the same value; returning
+ * `undefined` deletes the key.
+ * @callback ConflictResolver
+ * @param {{ path: string[], local: SyncWrite, remote: SyncWrite }} conflict
+ * @returns {any}
+ */
+
+/**
+ * The subset of `BroadcastChannel` used for syncing.
+ * @typedef {object} SyncChannel
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} addEventListener
+ * @property {(type: 'message', listener: (event: MessageEvent) => void) => void} removeEventListener
+ * @property {() => void} [close]
+ */
+
+/**
+ * @typedef {object} SyncOptions
+ * @property {string|SyncChannel} [channel] - Channel name (default `'observable-state'`) or an open channel
+ * @property {string[]} [include] - Only sync these paths, e.g. `'user.preferences'`
+ * @property {ConflictResolver} [conflict] - Resolves concurrent writes (default: last writer wins)
+ * @property {(error: unknown) => void} [onError] - Receives incoming patches that failed to apply (default `console.error`)
+ */
+
+/**
+ * Whether `path` starts with every key of `prefix`.
+ * @param {string[]} path
+ * @param {string[]} prefix
+ */
+const startsWith = (path, prefix) =>
+  prefix.length <= path.length && prefix.every((key, i) => path[i] === key);
+
+/**
+ * Narrows an operation to the included paths. A write above an included
+ * path becomes a write of just the included part.
+ * @param {SyncOperation} operation
+ * @param {string[][]|undefined} include
+ * @returns {SyncOperation[]}
+ */
+const narrow = (operation, include) => {
+  if (!include) return [operation];
+  /** @type {SyncOperation[]} */ const narrowed = [];
+  for (const path of include) {
+    if (startsWith(operation.path, path)) return [operation];
+    if (!startsWith(path, operation.path)) continue;
+    const rest = path.slice(operation.path.length);
+    const parent =
+      operation.op === 'set' ? getIn(operation.value, rest.slice(0, -1)) : null;
+    const key = rest[rest.length - 1];
+    narrowed.push(
+      parent !== null &&
+        typeof parent === 'object' &&
+        Object.hasOwn(parent, key)
+        ? { path, op: 'set', value: parent[key] }
+        : { path, op: 'delete' }
+    );
+  }
+  return narrowed;
+};
+
+/** @type {ConflictResolver} */
+const lastWriterWins = ({ local, remote }) => {
+  const remoteWins =
+    remote.clock > local.clock ||
+    (remote.clock === local.clock && remote.source > local.source);
+  return remoteWins ? remote.value : local.value;
+};
+
+/**
+ * Broadcasts every batch emitted by `service` to the services synced on the
+ * same channel in other contexts, and applies the batches they broadcast.
+ * Incoming patches are applied through `service.state` (so middleware,
+ * schemas and subscribers see them) and flushed at once without being
+ * broadcast again.
+ *
+ * Two contexts writing the same path (or one above or below it) before
+ * receiving each other's write is a conflict; by default the write with the
+ * later logical time wins, ties broken by context id. Local writes are
+ * remembered until every context heard from has received them.
+ * Only later writes are synced, so a context opened later is not sent the
+ * current state — hydrate it with `persist` instead.
+ * @param {ObservableService} service
+ * @param {SyncOptions} [options]
+ * @example
+ * const sync = syncAcrossContexts(store, {
+ *   channel: 'todo-app',
+ *   include: ['todos', 'user.preferences'],
+ * });
+ * // later
+ * sync.dispose();
+ */
+export const syncAcrossContexts = (
+  service,
+  {
+    channel = 'observable-state',
+    include,
+    conflict = lastWriterWins,
+    onError = (error) => console.error(error),
+  } = {}
+) => {
+  const port =
+    typeof channel === 'string' ? new BroadcastChannel(channel) : channel;
+  const paths = include?.map((path) => /** @type {string[]} */ (toPath(path)));
+  const id = crypto.randomUUID();
+  /** @type {Map<string, { path: string[], clock: number }>} Latest local write of each path */
+  const writes = new Map();
+  /** @type {Map<string, number>} */ const seen = new Map();
+  /** @type {Map<string, number>} Latest clock of this context each peer had received */
+  const acknowledged = new Map();
+  let clock = 0;
+  let applying = false;
+
+  /**
+   * Finds this context's latest write to `path`, or above or below it, that
+   * the sender had not yet received.
+   * @param {string[]} path
+   * @param {number} received - Latest clock of this context the sender had seen
+   */
+  const concurrentWrite = (path, received) => {
+    let latest = 0;
+    for (const write of writes.values()) {
+      const related =
+        startsWith(path, write.path) || startsWith(write.path, path);
+      if (related && write.clock > received) {
+        latest = Math.max(latest, write.clock);
+      }
+    }
+    return latest;
+  };
+
+  const broadcast = (
+    /** @type {object} */ fresh,
+    /** @type {object} */ stale,
+    /** @type {ReadonlyArray<ChangeDescriptor>} */ changes
+  ) => {
+    if (applying) return;
+    const operations = toOperations(changes).flatMap((operation) =>
+      narrow(operation, paths)
+    );
+    if (!operations.length) return;
+    clock++;
+    for (const { path } of operations) {
+      writes.set(JSON.stringify(path), { path, clock });
+    }
+    /** @type {SyncMessage} */
+    const message = {
+      source: id,
+      clock,
+      seen: Object.fromEntries(seen),
+      operations,
+    };
+    port.postMessage(message);
+  };
+
+  /**
+   * Forgets the local writes every peer heard from has received: they
+   * can no longer conflict with anything those peers send.
+   */
+  const prune = () => {
+    const settled = Math.min(...acknowledged.values());
+    for (const [key, write] of writes) {
+      write.clock <= settled && writes.delete(key);
+    }
+  };
+
+  /**
+   * @param {SyncMessage} message
+   */
+  const apply = ({ source, clock: at, seen: received, operations }) => {
+    clock = Math.max(clock, at);
+    seen.set(source, Math.max(seen.get(source) ?? 0, at));
+    acknowledged.set(
+      source,
+      Math.max(acknowledged.get(source) ?? 0, received[id] ?? 0)
+    );
+    prune();
+    // Broadcast any pending local batch first so it doesn't merge with
+    // the incoming one.
+    service.flush();
+    applying = true;
+    try {
+      for (const operation of operations.flatMap((op) => narrow(op, paths))) {
+        const { path } = operation;
+        /** @type {SyncWrite} */
+        const remote = {
+          path,
+          value: operation.op === 'set' ? operation.value : undefined,
+          clock: at,
+          source,
+        };
+        const concurrent = concurrentWrite(path, received[id] ?? 0);
+        if (!concurrent) {
+          writeIn(service.state, operation);
+          continue;
+        }
+        const value = conflict({
+          path,
+          local: {
+            path,
+            value: cloneDeep(getIn(service.state, path)),
+            clock: concurrent,
+            source: id,
+          },
+          remote,
+        });
+        writeIn(
+          service.state,
+          value === undefined
+            ? { path, op: 'delete' }
+            : { path, op: 'set', value }
+        );
+      }
+    } finally {
+      service.flush();
+      applying = false;
+    }
+  };
+
+  const receive = (/** @type {MessageEvent} */ event) => {
+    try {
+      apply(event.data);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const unsubscribe = service.subscribe(broadcast);
+  port.addEventListener('message', receive);
+
+  return {
+    /** Stops syncing; a channel opened by name is closed. */
+    dispose() {
+      unsubscribe();
+      port.removeEventListener('message', receive);
+      typeof channel === 'string' && port.close?.();
+    },
+  };
+};
+
+export default { syncAcrossContexts };
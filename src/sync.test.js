@@ -0,0 +1,251 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObservableService } from './main.js';
+import { syncAcrossContexts } from './sync.js';
+
+const wait = (ms = 50) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Waits until `condition` holds, as messages arrive asynchronously. */
+const until = async (condition, timeout = 2000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Condition not met');
+    await wait(5);
+  }
+};
+
+/** @type {Array<{ dispose: () => void }>} */
+let syncs = [];
+
+/**
+ * Creates services synced over the same `BroadcastChannel` name.
+ */
+const createContexts = (count, state, options = {}) => {
+  const channel = `sync-test-${Math.random()}`;
+  return Array.from({ length: count }, () => {
+    const service = new ObservableService(structuredClone(state));
+    const sync = syncAcrossContexts(service, { channel, ...options });
+    syncs.push(sync);
+    return { service, sync };
+  });
+};
+
+describe('syncAcrossContexts', () => {
+  afterEach(() => {
+    syncs.forEach((sync) => sync.dispose());
+    syncs = [];
+  });
+
+  test('should apply batches broadcast by other contexts', async () => {
+    const contexts = createContexts(3, {
+      user: { name: 'Ada' },
+      todos: [],
+    });
+    const [a, b, c] = contexts;
+
+    a.service.state.user.name = 'Grace';
+    a.service.state.todos.push({ title: 'Sync' });
+    await until(
+      () => b.service.state.todos.length && c.service.state.todos.length
+    );
+
+    for (const { service } of [b, c]) {
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(service.state)), {
+        user: { name: 'Grace' },
+        todos: [{ title: 'Sync' }],
+      });
+    }
+  });
+
+  test('should notify subscribers once without echoing patches back', async () => {
+    const contexts = createContexts(2, { count: 0 });
+    const [a, b] = contexts;
+    const local = mock.fn();
+    const remote = mock.fn();
+    a.service.subscribe(local);
+    b.service.subscribe(remote);
+
+    a.service.state.count = 1;
+    await until(() => remote.mock.calls.length);
+    await wait();
+
+    assert.strictEqual(local.mock.calls.length, 1);
+    assert.strictEqual(remote.mock.calls.length, 1);
+    assert.deepStrictEqual(remote.mock.calls[0].arguments[2], [
+      { path: ['count'], kind: 'set', prev: 0, next: 1 },
+    ]);
+  });
+
+  test('should sync deletes', async () => {
+    const contexts = createContexts(2, { a: 1, b: 2 });
+    const [a, b] = contexts;
+
+    delete a.service.state.a;
+    await until(() => !('a' in b.service.state));
+
+    assert.deepStrictEqual({ ...b.service.state }, { b: 2 });
+  });
+
+  test('should sync a set of undefined as a set, not a delete', async () => {
+    const contexts = createContexts(
+      2,
+      { x: 1, nested: { y: 1 } },
+      {
+        include: ['x', 'nested.y'],
+      }
+    );
+    const [a, b] = contexts;
+
+    b.service.state.x = undefined;
+    b.service.state.nested = { y: undefined };
+    await until(() => a.service.state.x === undefined);
+    await until(() => a.service.state.nested.y === undefined);
+
+    assert.ok('x' in a.service.state);
+    assert.ok('y' in a.service.state.nested);
+  });
+
+  test('should only sync included paths', async () => {
+    const contexts = createContexts(
+      2,
+      { user: { theme: 'light', token: 'a' }, draft: '' },
+      { include: ['user.theme'] }
+    );
+    const [a, b] = contexts;
+
+    a.service.state.draft = 'hello';
+    a.service.state.user = { theme: 'dark', token: 'b' };
+    await until(() => b.service.state.user.theme === 'dark');
+    await wait();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(b.service.state)), {
+      user: { theme: 'dark', token: 'a' },
+      draft: '',
+    });
+  });
+
+  test('should let the last writer win concurrent writes', async () => {
+    const contexts = createContexts(2, { count: 0 });
+    const [a, b] = contexts;
+
+    a.service.state.count = 1;
+    a.service.flush();
+    b.service.state.count = 2;
+    b.service.flush();
+    b.service.state.count = 3;
+    b.service.flush();
+    await until(() => a.service.state.count === 3);
+    await wait();
+
+    // b's second write is later than a's only write, whatever the tie-break.
+    assert.strictEqual(b.service.state.count, 3);
+  });
+
+  test('should resolve conflicts with a custom resolver', async () => {
+    const conflict = mock.fn(({ local, remote }) =>
+      Math.max(local.value, remote.value)
+    );
+    const contexts = createContexts(2, { count: 0 }, { conflict });
+    const [a, b] = contexts;
+
+    a.service.state.count = 5;
+    a.service.flush();
+    b.service.state.count = 2;
+    b.service.flush();
+    await until(() => conflict.mock.calls.length === 2);
+
+    assert.strictEqual(conflict.mock.calls.length, 2);
+    assert.deepStrictEqual(conflict.mock.calls[0].arguments[0].path, ['count']);
+    assert.strictEqual(a.service.state.count, 5);
+    assert.strictEqual(b.service.state.count, 5);
+  });
+
+  test('should not treat writes the sender had received as conflicts', async () => {
+    const conflict = mock.fn();
+    const contexts = createContexts(2, { count: 0 }, { conflict });
+    const [a, b] = contexts;
+
+    a.service.state.count = 1;
+    await until(() => b.service.state.count === 1);
+    b.service.state.count = 2;
+    await until(() => a.service.state.count === 2);
+
+    assert.strictEqual(conflict.mock.calls.length, 0);
+    assert.strictEqual(a.service.state.count, 2);
+  });
+
+  test('should forget writes once every known context has received them', async () => {
+    const listeners = new Set();
+    const channel = {
+      postMessage: mock.fn(),
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const conflict = mock.fn(({ remote }) => remote.value);
+    const service = new ObservableService({ count: 0, other: 0 });
+    syncs.push(syncAcrossContexts(service, { channel, conflict }));
+    const send = (source, seen, value) => {
+      for (const listener of listeners) {
+        listener({
+          data: {
+            source,
+            clock: 1,
+            seen,
+            operations: [{ path: ['count'], op: 'set', value }],
+          },
+        });
+      }
+    };
+
+    service.state.other = 1;
+    service.flush();
+    const [{ source: id }] = channel.postMessage.mock.calls[0].arguments;
+    send('p', {}, 1);
+    service.state.count = 2;
+    service.flush();
+    send('q', { [id]: 2 }, 3);
+    // `p` has not received the write yet, so it may still conflict.
+    send('p', {}, 4);
+    assert.strictEqual(conflict.mock.calls.length, 1);
+
+    send('p', { [id]: 2 }, 5);
+    send('r', {}, 6);
+    assert.strictEqual(conflict.mock.calls.length, 1);
+    assert.strictEqual(service.state.count, 6);
+  });
+
+  test('should accept an open channel and report failed patches', async () => {
+    const listeners = new Set();
+    const channel = {
+      postMessage: mock.fn(),
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener),
+    };
+    const onError = mock.fn();
+    const service = new ObservableService({ count: 0 });
+    const sync = syncAcrossContexts(service, { channel, onError });
+    service.use(({ key }) => (key === 'locked' ? false : undefined));
+
+    service.state.count = 1;
+    await wait(0);
+    const [message] = channel.postMessage.mock.calls[0].arguments;
+    assert.deepStrictEqual(message.operations, [
+      { path: ['count'], op: 'set', value: 1 },
+    ]);
+
+    for (const listener of listeners) {
+      listener({
+        data: {
+          source: 'other',
+          clock: 5,
+          seen: {},
+          operations: [{ path: ['locked'], op: 'set', value: true }],
+        },
+      });
+    }
+    assert.strictEqual(onError.mock.calls.length, 1);
+
+    sync.dispose();
+    assert.strictEqual(listeners.size, 0);
+  });
+});